@@ -1,6 +1,17 @@
 #!/usr/bin/env node
 
 import 'dotenv/config';
+import { CommanderError } from 'commander';
 import { program } from '../src/index.js';
+import { printError } from '../src/output.js';
+import { EXIT_CODES, exitCodeFor } from '../src/errors.js';
 
-program.parse(process.argv);
+// Commands report their own failures; this catches anything thrown outside them (e.g. config errors)
+program.parseAsync(process.argv).catch((error) => {
+  if (error instanceof CommanderError) {
+    // Commander has already printed the message (or the help/version text)
+    process.exit(error.exitCode === 0 ? EXIT_CODES.ok : EXIT_CODES.usage);
+  }
+  printError(error);
+  process.exit(exitCodeFor(error));
+});
@@ -1,187 +1,142 @@
-import axios from 'axios';
+// CLI adapter over TaxJarClient: credentials come from the active profile and
+// the global flags, and rate/category lookups go through the on-disk cache.
+import { TaxJarClient } from './client.js';
 import { getApiKey, getBaseUrl } from './config.js';
-
-function createClient() {
-  const apiKey = getApiKey();
-  const baseUrl = getBaseUrl();
-
-  return axios.create({
-    baseURL: baseUrl,
-    headers: {
-      Authorization: `Bearer ${apiKey}`,
-      'Content-Type': 'application/json',
-    },
-    timeout: 30000,
-  });
-}
-
-function handleError(error) {
-  if (error.response) {
-    const { status, data } = error.response;
-    const message = data?.detail || data?.error || JSON.stringify(data);
-    throw new Error(`TaxJar API Error (${status}): ${message}`);
-  } else if (error.request) {
-    throw new Error('Network error: No response received from TaxJar API. Check your internet connection.');
-  } else {
-    throw new Error(`Request error: ${error.message}`);
-  }
+import { cached } from './cache.js';
+import { DEFAULT_RETRY_POLICY } from './retry.js';
+
+const clientOptions = {
+  timeout: 30000,
+  rateLimit: 0,
+  retry: { ...DEFAULT_RETRY_POLICY },
+};
+
+let sharedClient = null;
+
+/**
+ * Override client settings (from global CLI flags). Takes effect on the next
+ * request; the shared client is rebuilt with the new settings.
+ */
+export function configureClient({ timeout, maxRetries, rateLimit, onRequest, onResponse, dryRun } = {}) {
+  if (timeout !== undefined) clientOptions.timeout = timeout;
+  if (onRequest !== undefined) clientOptions.onRequest = onRequest;
+  if (onResponse !== undefined) clientOptions.onResponse = onResponse;
+  if (dryRun !== undefined) clientOptions.dryRun = dryRun;
+  if (rateLimit !== undefined) clientOptions.rateLimit = rateLimit;
+  if (maxRetries !== undefined) clientOptions.retry.maxRetries = maxRetries;
+  sharedClient = null;
+}
+
+export function getClient() {
+  if (!sharedClient) {
+    sharedClient = new TaxJarClient({
+      apiKey: getApiKey(),
+      baseUrl: getBaseUrl(),
+      timeout: clientOptions.timeout,
+      rateLimit: clientOptions.rateLimit,
+      retry: clientOptions.retry,
+      onRequest: clientOptions.onRequest,
+      onResponse: clientOptions.onResponse,
+      dryRun: clientOptions.dryRun,
+    });
+  }
+  return sharedClient;
 }
 
 // Tax Calculation
 export async function calculateTax(params) {
-  const client = createClient();
-  try {
-    const response = await client.post('/taxes', params);
-    return response.data.tax;
-  } catch (error) {
-    handleError(error);
-  }
+  return getClient().calculateTax(params);
 }
 
 // Rates
 export async function getRates(zip, params = {}) {
-  const client = createClient();
-  try {
-    const response = await client.get(`/rates/${encodeURIComponent(zip)}`, { params });
-    return response.data.rate;
-  } catch (error) {
-    handleError(error);
-  }
+  return cached('rates', [zip, params], () => getClient().getRates(zip, params));
 }
 
 // Nexus Regions
 export async function getNexusRegions() {
-  const client = createClient();
-  try {
-    const response = await client.get('/nexus/regions');
-    return response.data.regions;
-  } catch (error) {
-    handleError(error);
-  }
+  return getClient().getNexusRegions();
 }
 
 // Categories
 export async function getCategories() {
-  const client = createClient();
-  try {
-    const response = await client.get('/categories');
-    return response.data.categories;
-  } catch (error) {
-    handleError(error);
-  }
+  return cached('categories', [], () => getClient().getCategories());
 }
 
 // Orders
 export async function listOrders(params = {}) {
-  const client = createClient();
-  try {
-    const response = await client.get('/transactions/orders', { params });
-    return response.data.orders;
-  } catch (error) {
-    handleError(error);
-  }
+  return getClient().listOrders(params);
 }
 
 export async function getOrder(transactionId) {
-  const client = createClient();
-  try {
-    const response = await client.get(`/transactions/orders/${encodeURIComponent(transactionId)}`);
-    return response.data.order;
-  } catch (error) {
-    handleError(error);
-  }
+  return getClient().getOrder(transactionId);
 }
 
 export async function createOrder(params) {
-  const client = createClient();
-  try {
-    const response = await client.post('/transactions/orders', params);
-    return response.data.order;
-  } catch (error) {
-    handleError(error);
-  }
+  return getClient().createOrder(params);
 }
 
 export async function updateOrder(transactionId, params) {
-  const client = createClient();
-  try {
-    const response = await client.put(`/transactions/orders/${encodeURIComponent(transactionId)}`, params);
-    return response.data.order;
-  } catch (error) {
-    handleError(error);
-  }
+  return getClient().updateOrder(transactionId, params);
 }
 
 export async function deleteOrder(transactionId) {
-  const client = createClient();
-  try {
-    const response = await client.delete(`/transactions/orders/${encodeURIComponent(transactionId)}`);
-    return response.data.order;
-  } catch (error) {
-    handleError(error);
-  }
+  return getClient().deleteOrder(transactionId);
 }
 
 // Refunds
 export async function listRefunds(params = {}) {
-  const client = createClient();
-  try {
-    const response = await client.get('/transactions/refunds', { params });
-    return response.data.refunds;
-  } catch (error) {
-    handleError(error);
-  }
+  return getClient().listRefunds(params);
 }
 
 export async function getRefund(transactionId) {
-  const client = createClient();
-  try {
-    const response = await client.get(`/transactions/refunds/${encodeURIComponent(transactionId)}`);
-    return response.data.refund;
-  } catch (error) {
-    handleError(error);
-  }
+  return getClient().getRefund(transactionId);
 }
 
 export async function createRefund(params) {
-  const client = createClient();
-  try {
-    const response = await client.post('/transactions/refunds', params);
-    return response.data.refund;
-  } catch (error) {
-    handleError(error);
-  }
+  return getClient().createRefund(params);
+}
+
+export async function updateRefund(transactionId, params) {
+  return getClient().updateRefund(transactionId, params);
+}
+
+export async function deleteRefund(transactionId) {
+  return getClient().deleteRefund(transactionId);
+}
+
+// Customers
+export async function listCustomers() {
+  return getClient().listCustomers();
+}
+
+export async function getCustomer(customerId) {
+  return getClient().getCustomer(customerId);
+}
+
+export async function createCustomer(params) {
+  return getClient().createCustomer(params);
+}
+
+export async function updateCustomer(customerId, params) {
+  return getClient().updateCustomer(customerId, params);
+}
+
+export async function deleteCustomer(customerId) {
+  return getClient().deleteCustomer(customerId);
 }
 
 // Validate Address
 export async function validateAddress(params) {
-  const client = createClient();
-  try {
-    const response = await client.post('/addresses/validate', params);
-    return response.data.addresses;
-  } catch (error) {
-    handleError(error);
-  }
+  return getClient().validateAddress(params);
 }
 
 // Validate VAT Number
 export async function validateVat(vat) {
-  const client = createClient();
-  try {
-    const response = await client.get('/validation', { params: { vat } });
-    return response.data.validation;
-  } catch (error) {
-    handleError(error);
-  }
+  return getClient().validateVat(vat);
 }
 
 // Summary Rates
 export async function getSummaryRates() {
-  const client = createClient();
-  try {
-    const response = await client.get('/summary_rates');
-    return response.data.summary_rates;
-  } catch (error) {
-    handleError(error);
-  }
+  return cached('summary_rates', [], () => getClient().getSummaryRates());
 }
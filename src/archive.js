@@ -0,0 +1,213 @@
+// Local archive of full order and refund records, mirrored by `taxjar sync`
+// into JSON-lines files per profile so lookups and reports can run offline.
+import { join } from 'path';
+import { mkdirSync, readFileSync, writeFileSync, renameSync, existsSync } from 'fs';
+import { getConfigDir, getActiveProfileName, getBaseUrl, getDataDirName } from './config.js';
+import { listOrders, getOrder, listRefunds, getRefund } from './api.js';
+import { mapWithConcurrency } from './pool.js';
+import { toCents, parseMoney } from './money.js';
+
+export const ARCHIVE_TYPES = ['orders', 'refunds'];
+
+const FETCHERS = {
+  orders: { list: listOrders, get: getOrder },
+  refunds: { list: listRefunds, get: getRefund },
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// One directory per profile; a profile pointed at another API (sandbox, mock) gets its own
+export function getArchiveDir() {
+  return join(getConfigDir(), 'archive', getDataDirName());
+}
+
+function dataPath(type) {
+  return join(getArchiveDir(), `${type}.jsonl`);
+}
+
+function statePath() {
+  return join(getArchiveDir(), 'state.json');
+}
+
+function readState() {
+  try {
+    return JSON.parse(readFileSync(statePath(), 'utf8'));
+  } catch {
+    return {};
+  }
+}
+
+function writeAtomic(path, contents) {
+  mkdirSync(getArchiveDir(), { recursive: true });
+  const tmp = `${path}.${process.pid}.tmp`;
+  writeFileSync(tmp, contents);
+  renameSync(tmp, path);
+}
+
+// Records keyed by transaction ID; empty when nothing has been synced
+export function loadArchive(type) {
+  const path = dataPath(type);
+  const records = new Map();
+  if (!existsSync(path)) return records;
+  readFileSync(path, 'utf8').split('\n').filter(Boolean).forEach(line => {
+    const record = JSON.parse(line);
+    records.set(String(record.transaction_id), record);
+  });
+  return records;
+}
+
+function saveArchive(type, records) {
+  const sorted = [...records.values()].sort(compareTransactions);
+  writeAtomic(dataPath(type), sorted.map(record => JSON.stringify(record)).join('\n') + (sorted.length > 0 ? '\n' : ''));
+}
+
+function dateOf(record) {
+  return (record.transaction_date || '').slice(0, 10);
+}
+
+function compareTransactions(a, b) {
+  return dateOf(a).localeCompare(dateOf(b)) || String(a.transaction_id).localeCompare(String(b.transaction_id));
+}
+
+function isoDate(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+export function archiveStatus() {
+  const state = readState();
+  return {
+    profile: getActiveProfileName(),
+    base_url: getBaseUrl(),
+    path: getArchiveDir(),
+    ...Object.fromEntries(ARCHIVE_TYPES.map(type => [type, {
+      records: loadArchive(type).size,
+      synced_through: state[type]?.synced_through ?? null,
+      synced_at: state[type]?.synced_at ?? null,
+    }])),
+  };
+}
+
+/**
+ * Mirror one transaction type into the archive. The window starts at
+ * `fromDate` when given; otherwise `lookback` days before the last synced
+ * date, so recently backdated or edited transactions are picked up, or
+ * January 1 of last year on a first sync. Every transaction listed in the
+ * window is re-fetched, and archived ones in the window that TaxJar no
+ * longer lists are dropped as deleted. `full` starts from an empty archive.
+ */
+export async function syncArchive(type, { fromDate, full = false, lookback = 7, concurrency = 5, onProgress } = {}) {
+  const { list, get } = FETCHERS[type];
+  const state = readState();
+  const records = full ? new Map() : loadArchive(type);
+  const lastSynced = full ? null : state[type]?.synced_through;
+
+  const now = Date.now();
+  const toDate = isoDate(now);
+  let from = fromDate;
+  if (!from && lastSynced) from = isoDate(Date.parse(lastSynced) - lookback * DAY);
+  if (!from) from = `${new Date(now).getUTCFullYear() - 1}-01-01`;
+
+  const ids = (await list({ from_transaction_date: from, to_transaction_date: toDate })).map(String);
+  const fetched = await mapWithConcurrency(ids, concurrency, id => get(id), onProgress);
+
+  const summary = { type, from_date: from, to_date: toDate, listed: ids.length, added: 0, updated: 0, removed: 0 };
+  fetched.forEach(record => {
+    const id = String(record.transaction_id);
+    summary[records.has(id) ? 'updated' : 'added']++;
+    records.set(id, record);
+  });
+
+  const listed = new Set(ids);
+  [...records.values()].forEach(record => {
+    const date = dateOf(record);
+    if (date >= from && date <= toDate && !listed.has(String(record.transaction_id))) {
+      records.delete(String(record.transaction_id));
+      summary.removed++;
+    }
+  });
+
+  saveArchive(type, records);
+  const synced = { synced_through: toDate, synced_at: new Date(now).toISOString() };
+  writeAtomic(statePath(), JSON.stringify({ ...readState(), [type]: synced }, null, 2) + '\n');
+  summary.records = records.size;
+  return summary;
+}
+
+const FILTER_FLAGS = [
+  { flag: '--state <codes>', option: 'state', description: 'Destination state code(s), comma-separated' },
+  { flag: '--country <code>', option: 'country', description: 'Destination country code' },
+  { flag: '--zip <prefix>', option: 'zip', description: 'Destination postal code or prefix' },
+  { flag: '--customer-id <id>', option: 'customerId', description: 'Exempt customer ID' },
+  { flag: '--min-amount <amount>', option: 'minAmount', description: 'Minimum amount (absolute value)', numeric: true },
+  { flag: '--max-amount <amount>', option: 'maxAmount', description: 'Maximum amount (absolute value)', numeric: true },
+  { flag: '--min-tax <amount>', option: 'minTax', description: 'Minimum sales tax (absolute value)', numeric: true },
+  { flag: '--max-tax <amount>', option: 'maxTax', description: 'Maximum sales tax (absolute value)', numeric: true },
+];
+
+// Option names ("min-amount", ...) of the archive-only filters
+export const ARCHIVE_FILTER_NAMES = FILTER_FLAGS.map(({ flag }) => flag.split(' ')[0].replace(/^--/, ''));
+
+// Attach the archive filters shared by `local query` and `orders list --local`
+export function addArchiveFilterOptions(command) {
+  FILTER_FLAGS.forEach(({ flag, description }) => command.option(flag, description));
+  return command;
+}
+
+// True when any archive-only filter flag was given
+export function hasArchiveFilters(options) {
+  return FILTER_FLAGS.some(({ option }) => options[option] !== undefined);
+}
+
+export function archiveFilters(options) {
+  const filters = { fromDate: options.fromDate, toDate: options.toDate };
+  FILTER_FLAGS.forEach(({ flag, option, numeric }) => {
+    if (options[option] === undefined) return;
+    if (!numeric) {
+      filters[option] = options[option];
+      return;
+    }
+    filters[option] = parseMoney(options[option], { name: flag.split(' ')[0], sign: 'non-negative' });
+  });
+  return filters;
+}
+
+/**
+ * Archived records matching every filter given, oldest first. Amount and tax
+ * bounds compare absolute values so they work for (negative) refunds too.
+ */
+export function queryArchive(type, {
+  fromDate,
+  toDate,
+  country,
+  state,
+  zip,
+  customerId,
+  minAmount,
+  maxAmount,
+  minTax,
+  maxTax,
+} = {}) {
+  if (!readState()[type]) {
+    throw new Error(`No local ${type} archive for profile "${getActiveProfileName()}". Run \`taxjar sync\` first.`);
+  }
+
+  const states = state ? state.toUpperCase().split(',').map(s => s.trim()) : null;
+  return [...loadArchive(type).values()]
+    .filter(record => {
+      const date = dateOf(record);
+      const amount = Math.abs(toCents(record.amount));
+      const tax = Math.abs(toCents(record.sales_tax));
+      if (fromDate && date < fromDate) return false;
+      if (toDate && date > toDate) return false;
+      if (country && record.to_country !== country.toUpperCase()) return false;
+      if (states && !states.includes((record.to_state || '').toUpperCase())) return false;
+      if (zip && !String(record.to_zip || '').startsWith(zip)) return false;
+      if (customerId && record.customer_id !== customerId) return false;
+      if (minAmount !== undefined && amount < toCents(minAmount)) return false;
+      if (maxAmount !== undefined && amount > toCents(maxAmount)) return false;
+      if (minTax !== undefined && tax < toCents(minTax)) return false;
+      if (maxTax !== undefined && tax > toCents(maxTax)) return false;
+      return true;
+    })
+    .sort(compareTransactions);
+}
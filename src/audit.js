@@ -0,0 +1,113 @@
+import { calculateTax } from './api.js';
+import { mapWithConcurrency } from './pool.js';
+import { toCents, fromCents, centsToDecimal } from './money.js';
+
+const ADDRESS_FIELDS = [
+  'from_country', 'from_zip', 'from_state', 'from_city', 'from_street',
+  'to_country', 'to_zip', 'to_state', 'to_city', 'to_street',
+];
+
+// Re-create the `calculateTax` request an order would have made at checkout
+export function orderToTaxParams(order) {
+  const params = {
+    amount: fromCents(toCents(order.amount)),
+    shipping: fromCents(toCents(order.shipping)),
+  };
+  ADDRESS_FIELDS.forEach(field => {
+    if (order[field]) params[field] = order[field];
+  });
+  if (order.customer_id) params.customer_id = order.customer_id;
+  if (order.exemption_type) params.exemption_type = order.exemption_type;
+
+  const items = order.line_items || [];
+  if (items.length > 0) {
+    params.line_items = items.map(item => {
+      const line = { id: String(item.id), quantity: item.quantity ?? 1, unit_price: fromCents(toCents(item.unit_price)) };
+      if (item.discount !== undefined && item.discount !== null) line.discount = fromCents(toCents(item.discount));
+      if (item.product_tax_code) line.product_tax_code = item.product_tax_code;
+      return line;
+    });
+  }
+  return params;
+}
+
+function classify(differenceCents, toleranceCents) {
+  if (Math.abs(differenceCents) <= toleranceCents) return 'ok';
+  return differenceCents < 0 ? 'under' : 'over';
+}
+
+/**
+ * Recalculate each order and compare with the sales tax it recorded.
+ * `difference` is recorded minus expected: negative means under-collected.
+ * `tolerance` is in dollars.
+ */
+export async function auditOrders(orders, { tolerance = 0.01, concurrency = 5, onProgress } = {}) {
+  const toleranceCents = toCents(tolerance);
+
+  return mapWithConcurrency(orders, concurrency, async (order) => {
+    const row = {
+      transaction_id: order.transaction_id,
+      transaction_date: (order.transaction_date || '').slice(0, 10),
+      to_country: order.to_country || '',
+      to_state: order.to_state || '',
+      amount: centsToDecimal(toCents(order.amount)),
+      shipping: centsToDecimal(toCents(order.shipping)),
+      recorded_tax: centsToDecimal(toCents(order.sales_tax)),
+    };
+    try {
+      const tax = await calculateTax(orderToTaxParams(order));
+      const difference = toCents(order.sales_tax) - toCents(tax.amount_to_collect);
+      return {
+        ...row,
+        expected_tax: centsToDecimal(toCents(tax.amount_to_collect)),
+        difference: centsToDecimal(difference),
+        rate: tax.rate,
+        status: classify(difference, toleranceCents),
+        error: '',
+      };
+    } catch (error) {
+      return { ...row, expected_tax: '', difference: '', rate: '', status: 'error', error: error.message };
+    }
+  }, onProgress);
+}
+
+// Roll audited orders up by destination state; orders that failed to recalculate are counted, not summed
+export function auditByState(rows, { tolerance = 0.01 } = {}) {
+  const toleranceCents = toCents(tolerance);
+  const groups = new Map();
+
+  rows.forEach(row => {
+    const key = `${row.to_country}|${row.to_state}`;
+    if (!groups.has(key)) {
+      groups.set(key, { country: row.to_country, state: row.to_state, orders: 0, under: 0, over: 0, errors: 0, recorded: 0, expected: 0 });
+    }
+    const group = groups.get(key);
+    group.orders++;
+    if (row.status === 'error') {
+      group.errors++;
+      return;
+    }
+    if (row.status === 'under') group.under++;
+    if (row.status === 'over') group.over++;
+    group.recorded += toCents(row.recorded_tax);
+    group.expected += toCents(row.expected_tax);
+  });
+
+  return [...groups.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([, group]) => {
+      const difference = group.recorded - group.expected;
+      return {
+        country: group.country,
+        state: group.state,
+        orders: group.orders,
+        under_collected: group.under,
+        over_collected: group.over,
+        errors: group.errors,
+        recorded_tax: centsToDecimal(group.recorded),
+        expected_tax: centsToDecimal(group.expected),
+        difference: centsToDecimal(difference),
+        status: classify(difference, toleranceCents),
+      };
+    });
+}
@@ -0,0 +1,154 @@
+import { readFileSync, writeFileSync, appendFileSync } from 'fs';
+import { extname } from 'path';
+import { parseCsv, toCsv, csvLine } from './csv.js';
+import { calculateTax } from './api.js';
+import { mapWithConcurrency } from './pool.js';
+import { parseMoney } from './money.js';
+import { normalizeLineItems } from './items.js';
+import { checkAddresses } from './validate.js';
+
+const STRING_FIELDS = [
+  'from_country', 'from_zip', 'from_state', 'from_city', 'from_street',
+  'to_country', 'to_zip', 'to_state', 'to_city', 'to_street',
+  'customer_id', 'exemption_type',
+];
+const NUMERIC_FIELDS = ['amount', 'shipping'];
+
+export const RESULT_COLUMNS = [
+  'amount_to_collect',
+  'rate',
+  'has_nexus',
+  'taxable_amount',
+  'freight_taxable',
+  'tax_source',
+  'state_tax_collectable',
+  'county_tax_collectable',
+  'city_tax_collectable',
+  'special_district_tax_collectable',
+  'jurisdiction_state',
+  'jurisdiction_county',
+  'jurisdiction_city',
+  'error',
+];
+
+function isJsonLines(file) {
+  return ['.jsonl', '.ndjson'].includes(extname(file).toLowerCase());
+}
+
+// Read a CSV (header row) or JSON-lines file into an array of plain objects
+export function readRecords(file) {
+  const text = readFileSync(file, 'utf8');
+  if (!isJsonLines(file)) return parseCsv(text);
+
+  return text.split(/\r?\n/).filter(line => line.trim() !== '').map((line, i) => {
+    try {
+      return JSON.parse(line);
+    } catch (error) {
+      throw new Error(`${file}: invalid JSON on line ${i + 1}: ${error.message}`);
+    }
+  });
+}
+
+// Write records as JSON lines or CSV depending on the file extension
+export function writeRecords(file, records, columns) {
+  if (isJsonLines(file)) {
+    writeFileSync(file, records.map(record => JSON.stringify(record)).join('\n') + '\n');
+    return;
+  }
+  writeFileSync(file, toCsv(records, columns));
+}
+
+// Start an output file that `appendRecord` adds to: a CSV header, or nothing for JSON lines
+function startRecords(file, columns) {
+  writeFileSync(file, isJsonLines(file) ? '' : csvLine(columns) + '\n');
+}
+
+function appendRecord(file, record, columns) {
+  appendFileSync(file, (isJsonLines(file) ? JSON.stringify(record) : csvLine(columns.map(col => record[col]))) + '\n');
+}
+
+// Map a batch row (CSV columns or JSON keys named after API fields) to `calculateTax` params
+export function rowToTaxParams(row) {
+  const params = {};
+
+  STRING_FIELDS.forEach(field => {
+    if (row[field] !== undefined && row[field] !== '') params[field] = String(row[field]).trim();
+  });
+
+  NUMERIC_FIELDS.forEach(field => {
+    if (row[field] === undefined || row[field] === '') return;
+    params[field] = parseMoney(row[field], { name: field, sign: 'non-negative' });
+  });
+
+  if (row.line_items !== undefined && row.line_items !== '') {
+    const items = typeof row.line_items === 'string' ? JSON.parse(row.line_items) : row.line_items;
+    if (!Array.isArray(items)) throw new Error('line_items must be a JSON array');
+    params.line_items = normalizeLineItems(items, 'line_items');
+  }
+
+  if (params.shipping === undefined) params.shipping = 0;
+  if (params.amount === undefined && !params.line_items) {
+    throw new Error('Row needs an amount or line_items');
+  }
+  if (!params.to_country) throw new Error('Row is missing to_country');
+
+  return checkAddresses(params);
+}
+
+function resultColumns(tax) {
+  const breakdown = tax.breakdown || {};
+  const jurisdictions = tax.jurisdictions || {};
+  return {
+    amount_to_collect: tax.amount_to_collect,
+    rate: tax.rate,
+    has_nexus: tax.has_nexus,
+    taxable_amount: tax.taxable_amount,
+    freight_taxable: tax.freight_taxable,
+    tax_source: tax.tax_source,
+    state_tax_collectable: breakdown.state_tax_collectable,
+    county_tax_collectable: breakdown.county_tax_collectable,
+    city_tax_collectable: breakdown.city_tax_collectable,
+    special_district_tax_collectable: breakdown.special_district_tax_collectable,
+    jurisdiction_state: jurisdictions.state,
+    jurisdiction_county: jurisdictions.county,
+    jurisdiction_city: jurisdictions.city,
+    error: '',
+  };
+}
+
+/**
+ * Calculate tax for every row. Failures are recorded in the row's `error`
+ * column rather than aborting the run. With `output`, each result is appended
+ * to the file as it completes, so an interrupted run keeps the rows already
+ * done; the file is rewritten in input order once every row has finished.
+ */
+export async function calculateTaxBatch(rows, { concurrency = 5, onProgress, output } = {}) {
+  const columns = outputColumns(rows);
+  if (output) startRecords(output, columns);
+
+  const results = await mapWithConcurrency(rows, concurrency, async (row) => {
+    let result;
+    try {
+      const tax = await calculateTax(rowToTaxParams(row));
+      result = { ...row, ...resultColumns(tax) };
+    } catch (error) {
+      result = { ...row, error: error.message };
+    }
+    if (output) appendRecord(output, result, columns);
+    return result;
+  }, onProgress);
+
+  if (output) writeRecords(output, results, columns);
+  return results;
+}
+
+// Input columns first (in first-seen order), then the appended result columns
+export function outputColumns(rows) {
+  const columns = [];
+  rows.forEach(row => {
+    Object.keys(row).forEach(key => {
+      if (!columns.includes(key) && !RESULT_COLUMNS.includes(key)) columns.push(key);
+    });
+  });
+  return columns.concat(RESULT_COLUMNS);
+}
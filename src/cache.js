@@ -0,0 +1,123 @@
+import { createHash } from 'crypto';
+import { join } from 'path';
+import {
+  mkdirSync,
+  readdirSync,
+  readFileSync,
+  writeFileSync,
+  renameSync,
+  unlinkSync,
+  statSync,
+  existsSync,
+} from 'fs';
+import { getConfigDir, getActiveProfileName, getBaseUrl } from './config.js';
+
+const HOUR = 60 * 60 * 1000;
+
+// How long each kind of response stays fresh
+export const CACHE_TTLS = {
+  rates: 24 * HOUR,
+  summary_rates: 24 * HOUR,
+  categories: 7 * 24 * HOUR,
+};
+
+// 'default' reads and writes, 'refresh' skips reads but stores fresh results, 'off' bypasses the cache
+let mode = 'default';
+
+export function setCacheMode(next) {
+  mode = next;
+}
+
+export function getCacheDir() {
+  return join(getConfigDir(), 'cache');
+}
+
+function entryPath(kind, parts) {
+  const key = JSON.stringify([getActiveProfileName(), getBaseUrl(), kind, ...parts]);
+  const hash = createHash('sha256').update(key).digest('hex').slice(0, 32);
+  return join(getCacheDir(), `${kind}-${hash}.json`);
+}
+
+function readEntry(path) {
+  try {
+    return JSON.parse(readFileSync(path, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Return the cached value for `kind` + `parts` when it is still fresh,
+ * otherwise call `fetcher` and store its result. Cache failures never fail
+ * the request; they just fall through to the network.
+ */
+export async function cached(kind, parts, fetcher) {
+  if (mode === 'off') return fetcher();
+
+  const path = entryPath(kind, parts);
+  if (mode !== 'refresh') {
+    const entry = readEntry(path);
+    if (entry && entry.expiresAt > Date.now()) return entry.value;
+  }
+
+  const value = await fetcher();
+  try {
+    mkdirSync(getCacheDir(), { recursive: true });
+    const now = Date.now();
+    const tmp = `${path}.${process.pid}.tmp`;
+    writeFileSync(tmp, JSON.stringify({ kind, storedAt: now, expiresAt: now + CACHE_TTLS[kind], value }));
+    renameSync(tmp, path);
+  } catch {
+    // Read-only home directories and the like: carry on uncached
+  }
+  return value;
+}
+
+function listEntries() {
+  const dir = getCacheDir();
+  if (!existsSync(dir)) return [];
+  return readdirSync(dir)
+    .filter(name => name.endsWith('.json'))
+    .map(name => join(dir, name));
+}
+
+export function cacheStats() {
+  const now = Date.now();
+  const kinds = {};
+  let bytes = 0;
+
+  listEntries().forEach(path => {
+    const entry = readEntry(path);
+    const kind = entry?.kind || 'unknown';
+    kinds[kind] = kinds[kind] || { kind, entries: 0, expired: 0, bytes: 0 };
+    const size = statSync(path).size;
+    kinds[kind].entries++;
+    kinds[kind].bytes += size;
+    if (!entry || entry.expiresAt <= now) kinds[kind].expired++;
+    bytes += size;
+  });
+
+  const byKind = Object.values(kinds);
+  return {
+    directory: getCacheDir(),
+    entries: byKind.reduce((sum, k) => sum + k.entries, 0),
+    expired: byKind.reduce((sum, k) => sum + k.expired, 0),
+    bytes,
+    kinds: byKind,
+  };
+}
+
+// Delete cache entries (only expired ones with `expiredOnly`); returns the number removed
+export function clearCache({ expiredOnly = false } = {}) {
+  const now = Date.now();
+  let removed = 0;
+  listEntries().forEach(path => {
+    if (expiredOnly) {
+      const entry = readEntry(path);
+      if (entry && entry.expiresAt > now) return;
+    }
+    unlinkSync(path);
+    removed++;
+  });
+  return removed;
+}
@@ -0,0 +1,266 @@
+import axios from 'axios';
+import { DEFAULT_RETRY_POLICY, attachRetry, attachRateLimit, parseRetryAfter } from './retry.js';
+import { apiErrorFor, TaxJarNetworkError, TaxJarConfigError, TaxJarDryRunError, TaxJarError } from './errors.js';
+
+export * from './errors.js';
+
+export const DEFAULT_BASE_URL = 'https://api.taxjar.com/v2';
+export const SANDBOX_BASE_URL = 'https://api.sandbox.taxjar.com/v2';
+
+function toTaxJarError(error) {
+  if (error instanceof TaxJarError) return error;
+
+  if (error.response) {
+    const { status, data, headers } = error.response;
+    const body = data && typeof data === 'object' ? data : {};
+    return apiErrorFor({
+      status,
+      error: body.error,
+      detail: body.detail || (typeof data === 'string' && data ? data : undefined) || (body.error ? undefined : JSON.stringify(data)),
+      requestId: headers?.['x-request-id'],
+      method: error.config?.method?.toUpperCase(),
+      url: error.config?.url,
+      retryAfter: parseRetryAfter(headers?.['retry-after']),
+      cause: error,
+    });
+  }
+  if (error.request) {
+    return new TaxJarNetworkError(
+      'Network error: No response received from TaxJar API. Check your internet connection.',
+      { code: error.code, cause: error },
+    );
+  }
+  return new TaxJarError(`Request error: ${error.message}`, { cause: error });
+}
+
+function redactHeaders(headers) {
+  const plain = typeof headers?.toJSON === 'function' ? headers.toJSON() : { ...headers };
+  Object.keys(plain).forEach(name => {
+    if (name.toLowerCase() === 'authorization') plain[name] = 'Bearer [REDACTED]';
+  });
+  return plain;
+}
+
+// GETs and the POSTs that only compute something (taxes, address validation)
+function isReadOnlyRequest(config, safePosts) {
+  const method = (config.method || 'get').toLowerCase();
+  return method === 'get' || (method === 'post' && safePosts.includes(config.url));
+}
+
+/**
+ * Report each attempt to `onRequest`/`onResponse` and, with `dryRun`, stop
+ * requests that would change data before they are sent. Registered before
+ * the rate limiter and retry interceptors so every retry is reported with
+ * its own timing.
+ */
+function attachHooks(http, { onRequest, onResponse, dryRun, safePosts }) {
+  if (!onRequest && !onResponse && !dryRun) return;
+
+  http.interceptors.request.use((config) => {
+    const request = {
+      method: (config.method || 'get').toUpperCase(),
+      url: axios.getUri(config),
+      headers: redactHeaders(config.headers),
+      body: config.data ?? null,
+      startedAt: new Date().toISOString(),
+    };
+    if (dryRun && !isReadOnlyRequest(config, safePosts)) {
+      request.dryRun = true;
+      onRequest?.(request);
+      throw new TaxJarDryRunError(request);
+    }
+    onRequest?.(request);
+    config.trace = { request, start: Date.now() };
+    return config;
+  });
+
+  if (!onResponse) return;
+  const report = (config, response, error) => {
+    if (!config?.trace) return;
+    onResponse({
+      request: config.trace.request,
+      response: response
+        ? { status: response.status, statusText: response.statusText, headers: redactHeaders(response.headers), body: response.data }
+        : null,
+      error: response ? null : { code: error?.code ?? null, message: error?.message },
+      duration: Date.now() - config.trace.start,
+    });
+  };
+  http.interceptors.response.use(
+    (response) => {
+      report(response.config, response);
+      return response;
+    },
+    (error) => {
+      report(error.config, error.response, error);
+      throw error;
+    },
+  );
+}
+
+/**
+ * Programmatic TaxJar API client.
+ *
+ *   const client = new TaxJarClient({ apiKey: process.env.TAXJAR_API_KEY });
+ *   const tax = await client.calculateTax({ to_country: 'US', to_zip: '10001', ... });
+ *
+ * Options:
+ *   apiKey     TaxJar API token (required)
+ *   baseUrl    API base URL; `sandbox: true` selects the sandbox URL
+ *   timeout    Request timeout in ms (default 30000)
+ *   retry      Overrides for the retry policy ({ maxRetries, baseDelay, maxDelay, safePosts })
+ *   rateLimit  Maximum requests per second (default unlimited)
+ *   adapter    axios adapter: 'http', 'fetch' or a custom adapter function
+ *   headers    Extra request headers
+ *   onRequest  Called with { method, url, headers, body, startedAt } before
+ *              each attempt is sent; the Authorization header is redacted
+ *   onResponse Called with { request, response, error, duration } after each
+ *              attempt; `response` is null when nothing came back
+ *   dryRun     Reject requests that would change data (order, refund and
+ *              customer writes) with TaxJarDryRunError instead of sending them
+ *
+ * Methods resolve with the unwrapped resource (e.g. `tax`, `rate`, `order`)
+ * and reject with a TaxJarError subclass (see errors.js); they never exit
+ * the process.
+ */
+export class TaxJarClient {
+  constructor({
+    apiKey,
+    baseUrl,
+    sandbox = false,
+    timeout = 30000,
+    retry = {},
+    rateLimit = 0,
+    adapter,
+    headers = {},
+    onRequest,
+    onResponse,
+    dryRun = false,
+  } = {}) {
+    if (!apiKey) throw new TaxJarConfigError('TaxJarClient requires an apiKey.');
+
+    this.baseUrl = baseUrl || (sandbox ? SANDBOX_BASE_URL : DEFAULT_BASE_URL);
+    this.http = axios.create({
+      baseURL: this.baseUrl,
+      headers: {
+        Authorization: `Bearer ${apiKey}`,
+        'Content-Type': 'application/json',
+        ...headers,
+      },
+      timeout,
+      ...(adapter ? { adapter } : {}),
+    });
+
+    const policy = { ...DEFAULT_RETRY_POLICY, ...retry };
+    attachHooks(this.http, { onRequest, onResponse, dryRun, safePosts: policy.safePosts });
+    attachRateLimit(this.http, rateLimit);
+    attachRetry(this.http, policy);
+  }
+
+  async request(method, url, { params, data } = {}) {
+    try {
+      const response = await this.http.request({ method, url, params, data });
+      return response.data;
+    } catch (error) {
+      throw toTaxJarError(error);
+    }
+  }
+
+  // Tax Calculation
+  async calculateTax(params) {
+    return (await this.request('post', '/taxes', { data: params })).tax;
+  }
+
+  // Rates
+  async getRates(zip, params = {}) {
+    return (await this.request('get', `/rates/${encodeURIComponent(zip)}`, { params })).rate;
+  }
+
+  async getSummaryRates() {
+    return (await this.request('get', '/summary_rates')).summary_rates;
+  }
+
+  // Nexus Regions
+  async getNexusRegions() {
+    return (await this.request('get', '/nexus/regions')).regions;
+  }
+
+  // Categories
+  async getCategories() {
+    return (await this.request('get', '/categories')).categories;
+  }
+
+  // Orders
+  async listOrders(params = {}) {
+    return (await this.request('get', '/transactions/orders', { params })).orders;
+  }
+
+  async getOrder(transactionId) {
+    return (await this.request('get', `/transactions/orders/${encodeURIComponent(transactionId)}`)).order;
+  }
+
+  async createOrder(params) {
+    return (await this.request('post', '/transactions/orders', { data: params })).order;
+  }
+
+  async updateOrder(transactionId, params) {
+    return (await this.request('put', `/transactions/orders/${encodeURIComponent(transactionId)}`, { data: params })).order;
+  }
+
+  async deleteOrder(transactionId) {
+    return (await this.request('delete', `/transactions/orders/${encodeURIComponent(transactionId)}`)).order;
+  }
+
+  // Refunds
+  async listRefunds(params = {}) {
+    return (await this.request('get', '/transactions/refunds', { params })).refunds;
+  }
+
+  async getRefund(transactionId) {
+    return (await this.request('get', `/transactions/refunds/${encodeURIComponent(transactionId)}`)).refund;
+  }
+
+  async createRefund(params) {
+    return (await this.request('post', '/transactions/refunds', { data: params })).refund;
+  }
+
+  async updateRefund(transactionId, params) {
+    return (await this.request('put', `/transactions/refunds/${encodeURIComponent(transactionId)}`, { data: params })).refund;
+  }
+
+  async deleteRefund(transactionId) {
+    return (await this.request('delete', `/transactions/refunds/${encodeURIComponent(transactionId)}`)).refund;
+  }
+
+  // Customers
+  async listCustomers() {
+    return (await this.request('get', '/customers')).customers;
+  }
+
+  async getCustomer(customerId) {
+    return (await this.request('get', `/customers/${encodeURIComponent(customerId)}`)).customer;
+  }
+
+  async createCustomer(params) {
+    return (await this.request('post', '/customers', { data: params })).customer;
+  }
+
+  async updateCustomer(customerId, params) {
+    return (await this.request('put', `/customers/${encodeURIComponent(customerId)}`, { data: params })).customer;
+  }
+
+  async deleteCustomer(customerId) {
+    return (await this.request('delete', `/customers/${encodeURIComponent(customerId)}`)).customer;
+  }
+
+  // Validation
+  async validateAddress(params) {
+    return (await this.request('post', '/addresses/validate', { data: params })).addresses;
+  }
+
+  async validateVat(vat) {
+    return (await this.request('get', '/validation', { params: { vat } })).validation;
+  }
+}
+
+export default TaxJarClient;
@@ -1,48 +1,300 @@
 import Conf from 'conf';
-import chalk from 'chalk';
+import { createHash, randomBytes, timingSafeEqual } from 'crypto';
+import { dirname } from 'path';
+import { DEFAULT_BASE_URL, SANDBOX_BASE_URL } from './client.js';
+import { TaxJarConfigError } from './errors.js';
+
+export { DEFAULT_BASE_URL, SANDBOX_BASE_URL };
+export const DEFAULT_PROFILE = 'default';
 
 const config = new Conf({
   projectName: 'taxjar-cli',
   schema: {
+    // Legacy single-account settings, migrated into the "default" profile on first use
     apiKey: {
       type: 'string',
       default: '',
     },
     baseUrl: {
       type: 'string',
-      default: 'https://api.taxjar.com/v2',
+      default: DEFAULT_BASE_URL,
+    },
+    profiles: {
+      type: 'object',
+      default: {},
+    },
+    activeProfile: {
+      type: 'string',
+      default: DEFAULT_PROFILE,
+    },
+    // Named ship-from addresses, shared by every profile
+    origins: {
+      type: 'object',
+      default: {},
+    },
+    defaultOrigin: {
+      type: 'string',
+      default: '',
+    },
+    // Client tokens for `taxjar serve`, stored as SHA-256 hashes
+    serveTokens: {
+      type: 'object',
+      default: {},
     },
   },
 });
 
+// Per-invocation overrides from global flags (--profile, --sandbox)
+const runtime = {
+  profile: undefined,
+  sandbox: false,
+};
+
+export function setRuntimeOptions({ profile, sandbox } = {}) {
+  if (profile !== undefined) runtime.profile = profile;
+  if (sandbox !== undefined) runtime.sandbox = Boolean(sandbox);
+}
+
+function maskKey(apiKey) {
+  return apiKey ? apiKey.slice(0, 4) + '****' + apiKey.slice(-4) : '(not set)';
+}
+
+function loadProfiles() {
+  const profiles = config.get('profiles');
+  const legacyKey = config.get('apiKey');
+  if (legacyKey && !profiles[DEFAULT_PROFILE]) {
+    profiles[DEFAULT_PROFILE] = { apiKey: legacyKey, baseUrl: config.get('baseUrl') };
+    config.set('profiles', profiles);
+    config.set('apiKey', '');
+  }
+  return profiles;
+}
+
+export function getActiveProfileName() {
+  return runtime.profile || process.env.TAXJAR_PROFILE || config.get('activeProfile') || DEFAULT_PROFILE;
+}
+
+function getActiveProfile() {
+  const name = getActiveProfileName();
+  const profiles = loadProfiles();
+  const explicit = runtime.profile || process.env.TAXJAR_PROFILE;
+
+  if (!profiles[name] && explicit && name !== DEFAULT_PROFILE) {
+    throw new TaxJarConfigError(
+      `Profile "${name}" does not exist. Create it with:\n` +
+      `  taxjar config profile add ${name} --api-key <your-api-key>`,
+    );
+  }
+  return profiles[name] || {};
+}
+
+/**
+ * The API key and base URL in effect, and where each came from. A profile
+ * picked explicitly (--profile or TAXJAR_PROFILE) beats TAXJAR_API_KEY and
+ * TAXJAR_BASE_URL, so a stray environment variable can't send one account's
+ * commands with another account's key; otherwise the environment wins.
+ */
+export function getCredentials() {
+  const name = getActiveProfileName();
+  const profile = getActiveProfile();
+  const explicit = Boolean(runtime.profile || process.env.TAXJAR_PROFILE);
+  const fromProfile = `profile "${name}"`;
+
+  let apiKey = profile.apiKey || '';
+  let apiKeySource = apiKey ? fromProfile : null;
+  if (process.env.TAXJAR_API_KEY && !(explicit && profile.apiKey)) {
+    apiKey = process.env.TAXJAR_API_KEY;
+    apiKeySource = 'TAXJAR_API_KEY';
+  }
+
+  let baseUrl = profile.baseUrl || DEFAULT_BASE_URL;
+  let baseUrlSource = profile.baseUrl ? fromProfile : 'default';
+  if (runtime.sandbox) {
+    baseUrl = SANDBOX_BASE_URL;
+    baseUrlSource = '--sandbox';
+  } else if (process.env.TAXJAR_BASE_URL && !(explicit && profile.baseUrl)) {
+    baseUrl = process.env.TAXJAR_BASE_URL;
+    baseUrlSource = 'TAXJAR_BASE_URL';
+  }
+  return { apiKey, apiKeySource, baseUrl, baseUrlSource };
+}
+
 export function getApiKey() {
-  const apiKey = process.env.TAXJAR_API_KEY || config.get('apiKey');
+  const { apiKey } = getCredentials();
   if (!apiKey) {
-    console.error(chalk.red('Error: No API key configured.'));
-    console.error(chalk.yellow('Set your API key with:'));
-    console.error(chalk.cyan('  taxjar config set --api-key <your-api-key>'));
-    console.error(chalk.yellow('Or set the TAXJAR_API_KEY environment variable.'));
-    process.exit(1);
+    throw new TaxJarConfigError(
+      `No API key configured for profile "${getActiveProfileName()}". Set it with:\n` +
+      '  taxjar config set --api-key <your-api-key>\n' +
+      'or set the TAXJAR_API_KEY environment variable.',
+    );
   }
   return apiKey;
 }
 
 export function setApiKey(key) {
-  config.set('apiKey', key);
+  const name = getActiveProfileName();
+  const profiles = loadProfiles();
+  profiles[name] = { baseUrl: DEFAULT_BASE_URL, ...profiles[name], apiKey: key };
+  config.set('profiles', profiles);
 }
 
 export function getBaseUrl() {
-  return process.env.TAXJAR_BASE_URL || config.get('baseUrl');
+  return getCredentials().baseUrl;
 }
 
-export function showConfig() {
-  const apiKey = config.get('apiKey') || process.env.TAXJAR_API_KEY || '';
+// Directory name for per-profile local data: "<profile>", plus a hash of the base URL when it isn't production
+export function getDataDirName() {
   const baseUrl = getBaseUrl();
-  const masked = apiKey ? apiKey.slice(0, 4) + '****' + apiKey.slice(-4) : '(not set)';
+  const suffix = baseUrl === DEFAULT_BASE_URL ? '' : '-' + createHash('sha256').update(baseUrl).digest('hex').slice(0, 8);
+  return getActiveProfileName() + suffix;
+}
+
+// ─── Profiles ──────────────────────────────────────────────────────────────────
+
+function checkProfileName(name) {
+  if (!/^[A-Za-z0-9_-]+$/.test(name)) {
+    throw new TaxJarConfigError(`Invalid profile name "${name}". Use letters, digits, "-" and "_".`);
+  }
+}
+
+export function addProfile(name, { apiKey, baseUrl = DEFAULT_BASE_URL }) {
+  checkProfileName(name);
+  const profiles = loadProfiles();
+  profiles[name] = { apiKey, baseUrl };
+  config.set('profiles', profiles);
+}
+
+export function useProfile(name) {
+  if (!loadProfiles()[name]) throw new TaxJarConfigError(`Profile "${name}" does not exist.`);
+  config.set('activeProfile', name);
+}
+
+export function removeProfile(name) {
+  const profiles = loadProfiles();
+  if (!profiles[name]) throw new TaxJarConfigError(`Profile "${name}" does not exist.`);
+  delete profiles[name];
+  config.set('profiles', profiles);
+  if (config.get('activeProfile') === name) config.set('activeProfile', DEFAULT_PROFILE);
+}
+
+export function listProfiles() {
+  const active = getActiveProfileName();
+  return Object.entries(loadProfiles()).map(([name, profile]) => ({
+    name,
+    apiKey: maskKey(profile.apiKey),
+    baseUrl: profile.baseUrl || DEFAULT_BASE_URL,
+    sandbox: profile.baseUrl === SANDBOX_BASE_URL,
+    active: name === active,
+  }));
+}
+
+// ─── Origins ───────────────────────────────────────────────────────────────────
+
+export function addOrigin(name, { country = 'US', zip, state, city, street }) {
+  if (!/^[A-Za-z0-9_-]+$/.test(name) || name === 'all') {
+    throw new TaxJarConfigError(`Invalid origin name "${name}". Use letters, digits, "-" and "_" ("all" is reserved).`);
+  }
+  const origins = config.get('origins');
+  origins[name] = {
+    country: country.toUpperCase(),
+    zip,
+    state: state.toUpperCase(),
+    ...(city ? { city } : {}),
+    ...(street ? { street } : {}),
+  };
+  config.set('origins', origins);
+}
+
+export function getOrigin(name) {
+  const origin = config.get('origins')[name];
+  if (!origin) {
+    throw new TaxJarConfigError(
+      `Origin "${name}" does not exist. Add it with:\n` +
+      `  taxjar config origin add ${name} --zip <zip> --state <state>`,
+    );
+  }
+  return origin;
+}
+
+export function removeOrigin(name) {
+  const origins = config.get('origins');
+  if (!origins[name]) throw new TaxJarConfigError(`Origin "${name}" does not exist.`);
+  delete origins[name];
+  config.set('origins', origins);
+  if (config.get('defaultOrigin') === name) config.set('defaultOrigin', '');
+}
+
+export function setDefaultOrigin(name) {
+  if (name) getOrigin(name);
+  config.set('defaultOrigin', name || '');
+}
+
+export function getDefaultOriginName() {
+  return config.get('defaultOrigin') || null;
+}
+
+export function listOrigins() {
+  const defaultName = getDefaultOriginName();
+  return Object.entries(config.get('origins')).map(([name, origin]) => ({
+    name,
+    ...origin,
+    default: name === defaultName,
+  }));
+}
+
+// ─── Serve Tokens ──────────────────────────────────────────────────────────────
+
+function hashToken(token) {
+  return createHash('sha256').update(token).digest();
+}
+
+// Issue (or re-issue) the token a client sends to `taxjar serve`; only its hash is kept
+export function addServeToken(client) {
+  if (!/^[A-Za-z0-9_-]+$/.test(client)) {
+    throw new TaxJarConfigError(`Invalid client name "${client}". Use letters, digits, "-" and "_".`);
+  }
+  const token = `tjs_${randomBytes(24).toString('base64url')}`;
+  const tokens = config.get('serveTokens');
+  tokens[client] = { hash: hashToken(token).toString('hex'), createdAt: new Date().toISOString() };
+  config.set('serveTokens', tokens);
+  return token;
+}
+
+export function removeServeToken(client) {
+  const tokens = config.get('serveTokens');
+  if (!tokens[client]) throw new TaxJarConfigError(`Client "${client}" has no token.`);
+  delete tokens[client];
+  config.set('serveTokens', tokens);
+}
+
+export function listServeTokens() {
+  return Object.entries(config.get('serveTokens')).map(([client, { createdAt }]) => ({ client, created_at: createdAt }));
+}
+
+// Client name for a presented token, or null
+export function findServeClient(token) {
+  if (!token) return null;
+  const presented = hashToken(token);
+  const match = Object.entries(config.get('serveTokens'))
+    .find(([, { hash }]) => timingSafeEqual(Buffer.from(hash, 'hex'), presented));
+  return match ? match[0] : null;
+}
+
+// Directory holding the config file; other local state (cache, snapshots) lives beside it
+export function getConfigDir() {
+  return dirname(config.path);
+}
+
+export function showConfig() {
+  const { apiKey, apiKeySource, baseUrl, baseUrlSource } = getCredentials();
   return {
-    apiKey: masked,
+    profile: getActiveProfileName(),
+    apiKey: maskKey(apiKey),
+    apiKeySource,
     baseUrl,
+    baseUrlSource,
     configPath: config.path,
+    profiles: listProfiles(),
   };
 }
 
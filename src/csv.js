@@ -0,0 +1,82 @@
+// Minimal RFC 4180 CSV reader/writer — enough for item lists and batch files
+// without pulling in another dependency.
+
+export function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (inQuotes) {
+      if (ch === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => !(r.length === 1 && r[0].trim() === ''));
+}
+
+export function parseCsv(text) {
+  const rows = parseCsvRows(text.replace(/^\uFEFF/, ''));
+  if (rows.length === 0) return [];
+
+  const headers = rows[0].map(h => h.trim());
+  return rows.slice(1).map(values => {
+    const record = {};
+    headers.forEach((header, i) => {
+      record[header] = values[i] ?? '';
+    });
+    return record;
+  });
+}
+
+function escapeField(value) {
+  if (value === null || value === undefined) return '';
+  const str = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+// One CSV line (no trailing newline) from a list of values
+export function csvLine(values) {
+  return values.map(escapeField).join(',');
+}
+
+export function toCsv(rows, columns) {
+  const lines = [csvLine(columns)];
+  rows.forEach(row => {
+    lines.push(csvLine(columns.map(col => row[col])));
+  });
+  return lines.join('\n') + '\n';
+}
@@ -0,0 +1,65 @@
+import { Option } from 'commander';
+import { collect } from './items.js';
+import { checkCountry, checkState, checkZip } from './validate.js';
+
+export const CUSTOMER_REQUIRED_FIELDS = ['customer_id', 'exemption_type', 'name'];
+
+// Customers can't be marketplace-exempt; that type only applies to transactions
+export const CUSTOMER_EXEMPTION_TYPES = ['wholesale', 'government', 'other', 'non_exempt'];
+
+const CUSTOMER_FIELDS = [
+  { flag: '--name <name>', option: 'name', field: 'name', description: 'Customer name' },
+  { flag: '--country <code>', option: 'country', field: 'country', description: 'Country code' },
+  { flag: '--state <state>', option: 'state', field: 'state', description: 'State code' },
+  { flag: '--zip <zip>', option: 'zip', field: 'zip', description: 'Postal code' },
+  { flag: '--city <city>', option: 'city', field: 'city', description: 'City' },
+  { flag: '--street <street>', option: 'street', field: 'street', description: 'Street address' },
+];
+
+// Attach the customer flags shared by `customers create` and `customers update`
+export function addCustomerOptions(command) {
+  command.addOption(new Option('--exemption-type <type>', 'Exemption type').choices(CUSTOMER_EXEMPTION_TYPES));
+  CUSTOMER_FIELDS.forEach(({ flag, description }) => command.option(flag, description));
+  return command
+    .option('--exempt-region <region>', 'Region the exemption applies in, as COUNTRY-STATE (e.g. US-CA); repeatable, replaces existing regions', collect, []);
+}
+
+// Throw if a required customer field is missing, naming the flag that sets it
+export function requireCustomerFields(params) {
+  const missing = CUSTOMER_REQUIRED_FIELDS.filter(field => params[field] === undefined || params[field] === '');
+  if (missing.length > 0) {
+    throw new Error(`Missing required field(s): ${missing.map(field => `--${field.replace(/_/g, '-')}`).join(', ')}`);
+  }
+}
+
+// "US-CA", "US:CA" or a bare US state code such as "CA"
+export function parseExemptRegion(spec) {
+  const parts = spec.trim().toUpperCase().split(/[-:]/);
+  if (parts.length === 1) parts.unshift('US');
+  if (parts.length !== 2 || !/^[A-Z0-9]{1,3}$/.test(parts[1])) {
+    throw new Error(`Invalid --exempt-region "${spec}": expected COUNTRY-STATE, e.g. US-CA`);
+  }
+  const country = checkCountry(parts[0], `--exempt-region "${spec}" country`);
+  return { country, state: checkState(parts[1], country, `--exempt-region "${spec}" state`) };
+}
+
+// Build a customer request body from flags; only the flags given are included
+export function buildCustomerParams(options) {
+  const params = {};
+  if (options.customerId) params.customer_id = options.customerId;
+  if (options.exemptionType) params.exemption_type = options.exemptionType;
+  CUSTOMER_FIELDS.forEach(({ option, field }) => {
+    if (options[option] !== undefined) params[field] = options[option];
+  });
+  // State and ZIP are checked against the given country, else the US
+  const country = params.country !== undefined ? checkCountry(params.country, '--country') : 'US';
+  if (params.country !== undefined) params.country = country;
+  if (params.state !== undefined) params.state = checkState(params.state, country, '--state');
+  if (params.zip !== undefined) params.zip = checkZip(params.zip, country, '--zip');
+  if (options.exemptRegion?.length > 0) params.exempt_regions = options.exemptRegion.map(parseExemptRegion);
+  return params;
+}
+
+export function formatExemptRegions(regions = []) {
+  return regions.length > 0 ? regions.map(region => `${region.country}-${region.state}`).join(', ') : 'All regions';
+}
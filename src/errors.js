@@ -0,0 +1,153 @@
+// Errors thrown by TaxJarClient. Everything extends TaxJarError so callers can
+// catch the whole family with one `instanceof` check; API errors are further
+// split by status so callers (and CLI exit codes) can tell them apart.
+
+export class TaxJarError extends Error {
+  constructor(message, options = {}) {
+    super(message, options.cause ? { cause: options.cause } : undefined);
+    this.name = this.constructor.name;
+  }
+}
+
+// TaxJar answered with a non-2xx status
+export class TaxJarApiError extends TaxJarError {
+  constructor({ status, error, detail, requestId, method, url, cause }) {
+    super(`TaxJar API Error (${status}): ${detail || error || 'Unknown error'}`, { cause });
+    this.status = status;
+    this.error = error;
+    this.detail = detail;
+    this.requestId = requestId;
+    this.method = method;
+    this.url = url;
+  }
+}
+
+// 401/403: missing, invalid or under-privileged API key
+export class TaxJarAuthError extends TaxJarApiError {}
+
+// 400/422: the request was rejected; `fields` lists the fields TaxJar complained about
+export class TaxJarValidationError extends TaxJarApiError {
+  constructor(options) {
+    super(options);
+    this.fields = parseFieldErrors(options.detail);
+  }
+}
+
+// 404: unknown transaction, ZIP or route
+export class TaxJarNotFoundError extends TaxJarApiError {}
+
+// 429 after retries ran out; `retryAfter` is in milliseconds when TaxJar sent Retry-After
+export class TaxJarRateLimitError extends TaxJarApiError {
+  constructor(options) {
+    super(options);
+    this.retryAfter = options.retryAfter ?? null;
+  }
+}
+
+// 5xx: TaxJar failed to handle a request it accepted
+export class TaxJarServerError extends TaxJarApiError {}
+
+// No response: DNS failure, refused connection, timeout
+export class TaxJarNetworkError extends TaxJarError {
+  constructor(message, { code, cause } = {}) {
+    super(message, { cause });
+    this.code = code;
+  }
+}
+
+// Missing or invalid client/CLI configuration, raised before any request is sent
+export class TaxJarConfigError extends TaxJarError {}
+
+// A client created with `dryRun` refused to send a request that would change
+// data; `request` is what would have been sent (token masked)
+export class TaxJarDryRunError extends TaxJarError {
+  constructor(request) {
+    super(`Dry run: ${request.method} ${request.url} was not sent`);
+    this.request = request;
+  }
+}
+
+/**
+ * Pick the error class for a response status. Statuses without a dedicated
+ * class (e.g. 405, 406, 410) stay plain TaxJarApiError.
+ */
+export function apiErrorFor(options) {
+  const { status } = options;
+  if (status === 401 || status === 403) return new TaxJarAuthError(options);
+  if (status === 400 || status === 422) return new TaxJarValidationError(options);
+  if (status === 404) return new TaxJarNotFoundError(options);
+  if (status === 429) return new TaxJarRateLimitError(options);
+  if (status >= 500) return new TaxJarServerError(options);
+  return new TaxJarApiError(options);
+}
+
+/**
+ * TaxJar reports validation problems as prose ("to_zip 90002 is not used
+ * within to_state NY", "amount is missing"). Pull out the field each
+ * sentence is about: a leading snake_case name or a quoted one.
+ */
+function parseFieldErrors(detail) {
+  if (!detail) return [];
+  return detail
+    .split(/;\s*|\n+/)
+    .map(message => message.trim())
+    .filter(Boolean)
+    .map(message => {
+      const match = message.match(/^([a-z][a-z0-9_]*)\s/) || message.match(/['"`]([a-z][a-z0-9_]*)['"`]/);
+      return match ? { field: match[1], message } : null;
+    })
+    .filter(Boolean);
+}
+
+// Process exit codes used by the CLI, most specific class first
+export const EXIT_CODES = {
+  ok: 0,
+  error: 1,
+  usage: 2,
+  config: 3,
+  auth: 4,
+  validation: 5,
+  not_found: 6,
+  rate_limited: 7,
+  server: 8,
+  network: 9,
+  // Not an error: `rates diff` found rate changes
+  changes: 10,
+};
+
+const ERROR_TYPES = [
+  [TaxJarConfigError, 'config'],
+  [TaxJarAuthError, 'auth'],
+  [TaxJarValidationError, 'validation'],
+  [TaxJarNotFoundError, 'not_found'],
+  [TaxJarRateLimitError, 'rate_limited'],
+  [TaxJarServerError, 'server'],
+  [TaxJarNetworkError, 'network'],
+];
+
+export function errorType(error) {
+  const entry = ERROR_TYPES.find(([ErrorClass]) => error instanceof ErrorClass);
+  return entry ? entry[1] : 'error';
+}
+
+export function exitCodeFor(error) {
+  return EXIT_CODES[errorType(error)];
+}
+
+// Plain-object form of an error for machine-readable output
+export function errorToJson(error, type = errorType(error)) {
+  const json = { type, exit_code: EXIT_CODES[type], message: error.message };
+  if (error instanceof TaxJarApiError) {
+    Object.assign(json, {
+      status: error.status,
+      error: error.error ?? null,
+      detail: error.detail ?? null,
+      request_id: error.requestId ?? null,
+    });
+  }
+  if (error instanceof TaxJarValidationError) json.fields = error.fields;
+  if (error instanceof TaxJarRateLimitError) json.retry_after_ms = error.retryAfter;
+  if (error instanceof TaxJarNetworkError) json.code = error.code ?? null;
+  if (error instanceof TaxJarDryRunError) json.request = error.request;
+  return json;
+}
@@ -0,0 +1,80 @@
+import { join } from 'path';
+import { mkdirSync, readFileSync, writeFileSync, existsSync } from 'fs';
+import { getConfigDir, getActiveProfileName } from './config.js';
+import { getSummaryRates, getNexusRegions } from './api.js';
+import { TaxJarNetworkError } from './errors.js';
+import { toCents, fromCents } from './money.js';
+
+function snapshotPath() {
+  return join(getConfigDir(), 'snapshots', `summary-rates-${getActiveProfileName()}.json`);
+}
+
+// Fetch summary rates and nexus regions and store them for offline estimates
+export async function takeSnapshot() {
+  const [summaryRates, nexusRegions] = await Promise.all([getSummaryRates(), getNexusRegions()]);
+  const snapshot = {
+    taken_at: new Date().toISOString(),
+    profile: getActiveProfileName(),
+    summary_rates: summaryRates,
+    nexus_regions: nexusRegions,
+  };
+
+  const path = snapshotPath();
+  mkdirSync(join(getConfigDir(), 'snapshots'), { recursive: true });
+  writeFileSync(path, JSON.stringify(snapshot, null, 2));
+  return { path, snapshot };
+}
+
+export function loadSnapshot() {
+  const path = snapshotPath();
+  if (!existsSync(path)) {
+    throw new Error(`No rates snapshot for profile "${getActiveProfileName()}". Run \`taxjar rates snapshot\` while online.`);
+  }
+  return JSON.parse(readFileSync(path, 'utf8'));
+}
+
+// Errors worth falling back on: no response at all, or TaxJar itself failing
+export function isUnreachable(error) {
+  return error instanceof TaxJarNetworkError || error.status >= 500;
+}
+
+function matches(region, country, state) {
+  if (region.country_code !== country) return false;
+  return country !== 'US' || region.region_code === state;
+}
+
+/**
+ * Estimate tax from a summary-rates snapshot: the region's average rate
+ * applied to the order amount when the snapshot's nexus list covers the
+ * destination. Shipping is never taxed because freight rules aren't known.
+ */
+export function estimateTax(params, snapshot) {
+  const lineItemCents = (params.line_items || []).reduce(
+    (sum, item) => sum + (item.quantity ?? 1) * toCents(item.unit_price) - toCents(item.discount),
+    0,
+  );
+  const amount = params.amount ?? fromCents(lineItemCents);
+  const shipping = params.shipping || 0;
+
+  const region = snapshot.summary_rates.find(r => matches(r, params.to_country, params.to_state));
+  const hasNexus = snapshot.nexus_regions.some(r => matches(r, params.to_country, params.to_state));
+  const exempt = params.exemption_type && params.exemption_type !== 'non_exempt';
+  const rate = hasNexus && region && !exempt ? region.average_rate.rate : 0;
+
+  return {
+    estimate: true,
+    order_total_amount: fromCents(toCents(amount) + toCents(shipping)),
+    shipping,
+    taxable_amount: rate > 0 ? amount : 0,
+    amount_to_collect: fromCents(toCents(amount * rate)),
+    rate,
+    has_nexus: hasNexus,
+    freight_taxable: null,
+    estimate_basis: {
+      source: 'summary_rates',
+      snapshot_taken_at: snapshot.taken_at,
+      region: region ? `${region.country_code}-${region.region_code}` : null,
+      average_rate: region ? region.average_rate.rate : null,
+    },
+  };
+}
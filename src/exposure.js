@@ -0,0 +1,116 @@
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { readFileSync, writeFileSync, existsSync, copyFileSync, mkdirSync } from 'fs';
+import { getConfigDir } from './config.js';
+import { toCents, fromCents, centsToDecimal } from './money.js';
+
+const DEFAULT_THRESHOLDS = fileURLToPath(new URL('./nexus-thresholds.json', import.meta.url));
+
+// User-editable copy, created by `taxjar nexus thresholds init`
+export function thresholdsPath() {
+  return join(getConfigDir(), 'nexus-thresholds.json');
+}
+
+export function loadThresholds(file) {
+  const source = file || (existsSync(thresholdsPath()) ? thresholdsPath() : DEFAULT_THRESHOLDS);
+  const data = JSON.parse(readFileSync(source, 'utf8'));
+  return { source, thresholds: data.thresholds || {} };
+}
+
+// Copy the bundled defaults to the config directory unless a copy already exists (or `force`)
+export function initThresholds({ force = false } = {}) {
+  const path = thresholdsPath();
+  if (existsSync(path) && !force) return { path, created: false };
+  mkdirSync(getConfigDir(), { recursive: true });
+  copyFileSync(DEFAULT_THRESHOLDS, path);
+  return { path, created: true };
+}
+
+export function setThreshold(state, { sales, transactions, both }) {
+  initThresholds();
+  const path = thresholdsPath();
+  const data = JSON.parse(readFileSync(path, 'utf8'));
+  const code = state.toUpperCase();
+  const current = data.thresholds[code] || { sales: null, transactions: null, both: false };
+  data.thresholds[code] = {
+    sales: sales !== undefined ? sales : current.sales,
+    transactions: transactions !== undefined ? transactions : current.transactions,
+    both: both !== undefined ? both : current.both,
+  };
+  writeFileSync(path, JSON.stringify(data, null, 2) + '\n');
+  return data.thresholds[code];
+}
+
+function isoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Measurement window: the trailing 12 months ending today, or a calendar
+ * year (the current one to date if `year` is this year).
+ */
+export function exposureWindow({ year, today = new Date() } = {}) {
+  if (year) {
+    const end = new Date(Date.UTC(year, 11, 31));
+    return { fromDate: `${year}-01-01`, toDate: isoDate(end < today ? end : today) };
+  }
+  const start = new Date(Date.UTC(today.getUTCFullYear() - 1, today.getUTCMonth(), today.getUTCDate() + 1));
+  return { fromDate: isoDate(start), toDate: isoDate(today) };
+}
+
+function progress(value, limit) {
+  return limit ? value / limit : 0;
+}
+
+/**
+ * Compare US order revenue (amount + shipping) and order counts per state
+ * against the thresholds. A state is "over" once it meets its test
+ * (sales or transactions, or both when `both` is set) and "near" when the
+ * closest test has reached `warnAt` (a fraction).
+ */
+export function computeExposure(orders, thresholds, nexusRegions, { warnAt = 0.8 } = {}) {
+  const totals = {};
+  orders.filter(order => order.to_country === 'US' && order.to_state).forEach(order => {
+    const state = order.to_state.toUpperCase();
+    totals[state] = totals[state] || { cents: 0, transactions: 0 };
+    totals[state].cents += toCents(order.amount) + toCents(order.shipping);
+    totals[state].transactions++;
+  });
+
+  const nexusStates = new Set(nexusRegions.filter(r => r.country_code === 'US').map(r => r.region_code));
+  const states = new Set([...Object.keys(thresholds), ...Object.keys(totals)]);
+
+  return [...states].sort().map(state => {
+    const threshold = thresholds[state];
+    const total = totals[state] || { cents: 0, transactions: 0 };
+    const sales = fromCents(total.cents);
+    const salesProgress = progress(sales, threshold?.sales);
+    const countProgress = progress(total.transactions, threshold?.transactions);
+
+    let ratio = 0;
+    if (threshold) {
+      ratio = threshold.both && threshold.transactions
+        ? Math.min(salesProgress, countProgress)
+        : Math.max(salesProgress, countProgress);
+    }
+
+    let status = 'ok';
+    if (!threshold) status = 'no_threshold';
+    else if (ratio >= 1) status = 'over';
+    else if (ratio >= warnAt) status = 'near';
+
+    const hasNexus = nexusStates.has(state);
+    return {
+      state,
+      sales: centsToDecimal(total.cents),
+      transactions: total.transactions,
+      sales_threshold: threshold?.sales ?? null,
+      transaction_threshold: threshold?.transactions ?? null,
+      test: threshold ? (threshold.both && threshold.transactions ? 'and' : 'or') : null,
+      percent_of_threshold: Math.round(ratio * 1000) / 10,
+      has_nexus: hasNexus,
+      status,
+      action_needed: !hasNexus && (status === 'over' || status === 'near'),
+    };
+  });
+}
@@ -0,0 +1,124 @@
+import { existsSync, readFileSync, appendFileSync, unlinkSync } from 'fs';
+import {
+  getOrder,
+  createOrder,
+  updateOrder,
+  getRefund,
+  createRefund,
+  updateRefund,
+} from './api.js';
+import { mapWithConcurrency } from './pool.js';
+import {
+  rowToTransactionParams,
+  missingFields,
+  ORDER_REQUIRED_FIELDS,
+  REFUND_REQUIRED_FIELDS,
+} from './transactions.js';
+
+const KINDS = {
+  order: { get: getOrder, create: createOrder, update: updateOrder, required: ORDER_REQUIRED_FIELDS },
+  refund: { get: getRefund, create: createRefund, update: updateRefund, required: REFUND_REQUIRED_FIELDS },
+};
+
+export function defaultJournalPath(file) {
+  return `${file}.journal.jsonl`;
+}
+
+// Transaction IDs already imported by a previous (possibly interrupted) run
+function readJournal(path) {
+  const done = new Map();
+  if (!existsSync(path)) return done;
+
+  readFileSync(path, 'utf8').split(/\r?\n/).forEach(line => {
+    if (!line.trim()) return;
+    try {
+      const entry = JSON.parse(line);
+      done.set(entry.transaction_id, entry.action);
+    } catch {
+      // A torn final line from a crash is expected; ignore it
+    }
+  });
+  return done;
+}
+
+async function exists(kind, transactionId) {
+  try {
+    await kind.get(transactionId);
+    return true;
+  } catch (error) {
+    if (error.status === 404) return false;
+    throw error;
+  }
+}
+
+/**
+ * Import order or refund rows, creating transactions that don't exist yet and
+ * updating those that do. Each success is appended to a journal so a re-run
+ * skips rows that were already imported. With `dryRun`, rows are validated
+ * and looked up but nothing is written.
+ */
+export async function importTransactions(rows, {
+  type = 'order',
+  journal,
+  fresh = false,
+  dryRun = false,
+  concurrency = 1,
+  onProgress,
+} = {}) {
+  const kind = KINDS[type];
+  if (fresh && journal && existsSync(journal) && !dryRun) unlinkSync(journal);
+  const completed = journal && !fresh ? readJournal(journal) : new Map();
+  // Rows that share a transaction ID run one at a time, in file order, so a
+  // later row updates the transaction an earlier one created rather than
+  // racing it to the create
+  const queues = new Map();
+  const imported = new Set();
+
+  const results = await mapWithConcurrency(rows, concurrency, async (row, index) => {
+    const line = index + 1;
+    let params;
+    try {
+      params = rowToTransactionParams(row, type);
+      const missing = missingFields(params, kind.required);
+      if (missing.length > 0) throw new Error(`Missing required field(s): ${missing.join(', ')}`);
+    } catch (error) {
+      return { row: line, transaction_id: row.transaction_id || '', status: 'failed', error: error.message };
+    }
+
+    const id = params.transaction_id;
+    if (completed.has(id)) {
+      return { row: line, transaction_id: id, status: 'skipped', error: '' };
+    }
+
+    const previous = queues.get(id);
+    let release;
+    queues.set(id, new Promise(resolve => { release = resolve; }));
+    try {
+      await previous;
+      const action = imported.has(id) || (await exists(kind, id)) ? 'updated' : 'created';
+      if (!dryRun) {
+        if (action === 'updated') {
+          await kind.update(id, params);
+        } else {
+          await kind.create(params);
+        }
+        if (journal) {
+          appendFileSync(journal, JSON.stringify({ transaction_id: id, action, at: new Date().toISOString() }) + '\n');
+        }
+      }
+      imported.add(id);
+      return { row: line, transaction_id: id, status: action, error: '' };
+    } catch (error) {
+      return { row: line, transaction_id: id, status: 'failed', error: error.message };
+    } finally {
+      release();
+    }
+  }, onProgress);
+
+  const summary = { created: 0, updated: 0, skipped: 0, failed: 0 };
+  results.forEach(result => {
+    summary[result.status]++;
+  });
+
+  return { summary, results };
+}
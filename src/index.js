@@ -1,7 +1,26 @@
-import { Command } from 'commander';
+import { Command, Option, InvalidArgumentError } from 'commander';
 import chalk from 'chalk';
-import ora from 'ora';
-import { setApiKey, showConfig } from './config.js';
+import {
+  setApiKey,
+  showConfig,
+  setRuntimeOptions,
+  addProfile,
+  useProfile,
+  removeProfile,
+  listProfiles,
+  addOrigin,
+  removeOrigin,
+  setDefaultOrigin,
+  getDefaultOriginName,
+  listOrigins,
+  addServeToken,
+  removeServeToken,
+  listServeTokens,
+  findServeClient,
+  getApiKey,
+  DEFAULT_BASE_URL,
+  SANDBOX_BASE_URL,
+} from './config.js';
 import {
   calculateTax,
   getRates,
@@ -15,44 +34,122 @@ import {
   listRefunds,
   getRefund,
   createRefund,
+  updateRefund,
+  deleteRefund,
+  listCustomers,
+  getCustomer,
+  createCustomer,
+  updateCustomer,
+  deleteCustomer,
   validateAddress,
   validateVat,
   getSummaryRates,
+  configureClient,
 } from './api.js';
-
-const program = new Command();
-
-function printJson(data) {
-  console.log(JSON.stringify(data, null, 2));
-}
+import { collect, buildLineItems } from './items.js';
+import { readRecords, calculateTaxBatch } from './batch.js';
+import {
+  addTransactionOptions,
+  buildTransactionParams,
+  quoteToOrderParams,
+  loadQuote,
+  requireFields,
+  missingFields,
+  ORDER_REQUIRED_FIELDS,
+  REFUND_REQUIRED_FIELDS,
+  EXEMPTION_TYPES,
+} from './transactions.js';
+import { parseRefundItem, refundFromOrder, checkRefundLimits, fetchOrderRefunds } from './refunds.js';
+import { applyOrigin, nexusAddresses } from './origins.js';
+import { addCustomerOptions, buildCustomerParams, requireCustomerFields, formatExemptRegions } from './customers.js';
+import { importTransactions, defaultJournalPath } from './importer.js';
+import { createMockServer } from './mock.js';
+import { createQuoteServer } from './server.js';
+import { serveMcp } from './mcp.js';
+import { setCacheMode, cacheStats, clearCache } from './cache.js';
+import { fetchTransactions, aggregatePeriod, periodTotals, GROUPINGS } from './report.js';
+import { auditOrders, auditByState } from './audit.js';
+import {
+  ARCHIVE_TYPES,
+  syncArchive,
+  archiveStatus,
+  loadArchive,
+  queryArchive,
+  addArchiveFilterOptions,
+  archiveFilters,
+  hasArchiveFilters,
+} from './archive.js';
+import {
+  FORMATS,
+  setOutputOptions,
+  isTableView,
+  printOutput,
+  printTable,
+  printError,
+  startSpinner,
+  stopSpinner,
+} from './output.js';
+import { EXIT_CODES, exitCodeFor, TaxJarConfigError } from './errors.js';
+import {
+  loadThresholds,
+  initThresholds,
+  setThreshold,
+  exposureWindow,
+  computeExposure,
+} from './exposure.js';
+import { takeSnapshot, loadSnapshot, estimateTax, isUnreachable } from './estimate.js';
+import { createTracer } from './trace.js';
+import { readLocations, takeRateSnapshot, listRateSnapshots, loadRateSnapshot, diffRateSnapshots } from './watch.js';
+import { toCents, fromCents, formatMoney, parseMoney } from './money.js';
+import { checkAddresses, checkCountry, checkState, checkZip, dateOption, moneyOption } from './validate.js';
+
+// Throw instead of exiting on usage errors so bin/taxjar.js can map them to EXIT_CODES.usage
+const program = new Command().exitOverride();
 
 function printSuccess(message) {
   console.log(chalk.green('✓') + ' ' + message);
 }
 
-function printTable(data, columns) {
-  if (!data || data.length === 0) {
-    console.log(chalk.yellow('No results found.'));
-    return;
+// A rate fraction such as 0.08875 as "8.8750%"
+function formatPercent(rate) {
+  return (parseFloat(rate) * 100).toFixed(4) + '%';
+}
+
+// Outcome of a command that changes local settings: `result` for --json/--format, else a ✓ line
+function printResult(result, message) {
+  if (!isTableView()) {
+    printOutput(result);
+  } else {
+    printSuccess(message);
   }
+}
 
-  const colWidths = {};
-  columns.forEach(col => {
-    colWidths[col.key] = col.label.length;
-    data.forEach(row => {
-      const val = String(row[col.key] ?? '');
-      colWidths[col.key] = Math.max(colWidths[col.key], val.length);
-    });
-  });
+// Print the error and exit with the code for its class (see EXIT_CODES)
+function fail(error) {
+  printError(error);
+  process.exit(exitCodeFor(error));
+}
 
-  const header = columns.map(col => col.label.padEnd(colWidths[col.key])).join('  ');
-  const separator = columns.map(col => '-'.repeat(colWidths[col.key])).join('  ');
+// Bad flags or input files, caught before any request is sent
+function failUsage(error) {
+  // e.g. an unknown --from origin: keep the config exit code
+  if (error instanceof TaxJarConfigError) fail(error);
+  printError(typeof error === 'string' ? new Error(error) : error, 'usage');
+  process.exit(EXIT_CODES.usage);
+}
 
-  console.log(chalk.bold.cyan(header));
-  console.log(chalk.dim(separator));
-  data.forEach(row => {
-    console.log(columns.map(col => String(row[col.key] ?? '').padEnd(colWidths[col.key])).join('  '));
-  });
+// --dry-run: show the write a command was about to send, then stop without sending it
+function printDryRun(request) {
+  stopSpinner();
+  const { method, url, headers, body } = request;
+  if (!isTableView()) {
+    printOutput({ dry_run: true, method, url, headers, body });
+  } else {
+    console.log(chalk.yellow('Dry run: request not sent'));
+    console.log(chalk.bold(`${method} ${url}`));
+    if (body !== null) console.log(JSON.stringify(body, null, 2));
+  }
+  process.exit(EXIT_CODES.ok);
 }
 
 // ─── Config Commands ───────────────────────────────────────────────────────────
@@ -61,24 +158,260 @@ const configCmd = program.command('config').description('Manage CLI configuratio
 
 configCmd
   .command('set')
-  .description('Set configuration values')
+  .description('Set configuration values for the active profile')
   .requiredOption('--api-key <key>', 'TaxJar API key')
+  .option('--json', 'Output raw JSON (same as --format json)')
   .action((options) => {
     setApiKey(options.apiKey);
-    printSuccess('API key saved successfully.');
-    console.log(chalk.dim('You can also set TAXJAR_API_KEY as an environment variable.'));
+    const profile = listProfiles().find(p => p.active);
+    printResult(profile, `API key saved to profile "${profile.name}".`);
+    if (isTableView()) console.log(chalk.dim('You can also set TAXJAR_API_KEY as an environment variable.'));
   });
 
 configCmd
   .command('show')
-  .description('Show current configuration')
-  .action(() => {
+  .description('Show current configuration and all profiles')
+  .option('--json', 'Output raw JSON (same as --format json)')
+  .action((options) => {
     const cfg = showConfig();
+
+    if (!isTableView()) {
+      printOutput(cfg);
+      return;
+    }
+
     console.log(chalk.bold('TaxJar CLI Configuration'));
     console.log(chalk.dim('─────────────────────────'));
-    console.log(`API Key:     ${chalk.cyan(cfg.apiKey)}`);
-    console.log(`Base URL:    ${chalk.cyan(cfg.baseUrl)}`);
+    console.log(`Profile:     ${chalk.cyan(cfg.profile)}`);
+    console.log(`API Key:     ${chalk.cyan(cfg.apiKey)}${cfg.apiKeySource ? chalk.dim(` (from ${cfg.apiKeySource})`) : ''}`);
+    console.log(`Base URL:    ${chalk.cyan(cfg.baseUrl)}${chalk.dim(` (from ${cfg.baseUrlSource})`)}`);
     console.log(`Config file: ${chalk.dim(cfg.configPath)}`);
+
+    if (cfg.profiles.length > 0) {
+      console.log('');
+      printTable(cfg.profiles.map(p => ({ ...p, active: p.active ? '*' : '' })), [
+        { key: 'active', label: 'Active' },
+        { key: 'name', label: 'Profile' },
+        { key: 'apiKey', label: 'API Key' },
+        { key: 'baseUrl', label: 'Base URL' },
+      ]);
+    }
+  });
+
+const profileCmd = configCmd.command('profile').description('Manage named account profiles');
+
+profileCmd
+  .command('add <name>')
+  .description('Add or replace a profile')
+  .requiredOption('--api-key <key>', 'TaxJar API key')
+  .option('--base-url <url>', 'API base URL', DEFAULT_BASE_URL)
+  .option('--sandbox', 'Use the TaxJar sandbox base URL')
+  .option('--use', 'Make this the active profile')
+  .option('--json', 'Output raw JSON (same as --format json)')
+  .action((name, options) => {
+    try {
+      addProfile(name, {
+        apiKey: options.apiKey,
+        // The global --sandbox flag claims the option when it precedes the subcommand
+        baseUrl: options.sandbox || program.opts().sandbox ? SANDBOX_BASE_URL : options.baseUrl,
+      });
+      if (options.use) useProfile(name);
+    } catch (error) {
+      fail(error);
+    }
+    printResult(listProfiles().find(p => p.name === name), `Profile "${name}" saved${options.use ? ' and activated' : ''}.`);
+  });
+
+profileCmd
+  .command('use <name>')
+  .description('Set the active profile')
+  .option('--json', 'Output raw JSON (same as --format json)')
+  .action((name) => {
+    try {
+      useProfile(name);
+    } catch (error) {
+      fail(error);
+    }
+    printResult(listProfiles().find(p => p.name === name), `Now using profile "${name}".`);
+  });
+
+profileCmd
+  .command('list')
+  .description('List profiles')
+  .option('--json', 'Output raw JSON (same as --format json)')
+  .action((options) => {
+    const profiles = listProfiles();
+
+    if (!isTableView()) {
+      printOutput(profiles);
+      return;
+    }
+
+    printTable(profiles.map(p => ({ ...p, active: p.active ? '*' : '' })), [
+      { key: 'active', label: 'Active' },
+      { key: 'name', label: 'Profile' },
+      { key: 'apiKey', label: 'API Key' },
+      { key: 'baseUrl', label: 'Base URL' },
+    ]);
+  });
+
+profileCmd
+  .command('remove <name>')
+  .description('Remove a profile')
+  .option('--json', 'Output raw JSON (same as --format json)')
+  .action((name) => {
+    try {
+      removeProfile(name);
+    } catch (error) {
+      fail(error);
+    }
+    printResult({ name, removed: true }, `Profile "${name}" removed.`);
+  });
+
+const originCmd = configCmd.command('origin').description('Manage saved ship-from addresses (used with --from and --nexus)');
+
+originCmd
+  .command('add <name>')
+  .description('Add or replace a saved origin address')
+  .option('--country <code>', 'Country code', 'US')
+  .requiredOption('--zip <zip>', 'Postal code')
+  .requiredOption('--state <state>', 'State code')
+  .option('--city <city>', 'City')
+  .option('--street <street>', 'Street address')
+  .option('--default', 'Use this origin when a command is given no origin fields')
+  .option('--json', 'Output raw JSON (same as --format json)')
+  .action((name, options) => {
+    const address = { ...options };
+    try {
+      address.country = checkCountry(options.country, '--country');
+      address.state = checkState(options.state, address.country, '--state');
+      address.zip = checkZip(options.zip, address.country, '--zip');
+    } catch (error) {
+      failUsage(error);
+    }
+    try {
+      addOrigin(name, address);
+      if (options.default) setDefaultOrigin(name);
+    } catch (error) {
+      fail(error);
+    }
+    printResult(listOrigins().find(o => o.name === name), `Origin "${name}" saved${options.default ? ' as the default' : ''}.`);
+  });
+
+originCmd
+  .command('list')
+  .description('List saved origin addresses')
+  .option('--json', 'Output raw JSON (same as --format json)')
+  .action((options) => {
+    const origins = listOrigins();
+
+    if (!isTableView()) {
+      printOutput(origins);
+      return;
+    }
+
+    printTable(origins.map(o => ({ ...o, default: o.default ? '*' : '' })), [
+      { key: 'default', label: 'Default' },
+      { key: 'name', label: 'Origin' },
+      { key: 'street', label: 'Street' },
+      { key: 'city', label: 'City' },
+      { key: 'state', label: 'State' },
+      { key: 'zip', label: 'ZIP' },
+      { key: 'country', label: 'Country' },
+    ]);
+  });
+
+originCmd
+  .command('remove <name>')
+  .description('Remove a saved origin address')
+  .option('--json', 'Output raw JSON (same as --format json)')
+  .action((name) => {
+    try {
+      removeOrigin(name);
+    } catch (error) {
+      fail(error);
+    }
+    printResult({ name, removed: true }, `Origin "${name}" removed.`);
+  });
+
+originCmd
+  .command('default [name]')
+  .description('Show or set the default origin for `tax calculate` and `orders create`')
+  .option('--clear', 'Stop using a default origin')
+  .option('--json', 'Output raw JSON (same as --format json)')
+  .action((name, options) => {
+    if (options.clear) {
+      setDefaultOrigin(null);
+      printResult({ default: null }, 'Default origin cleared.');
+      return;
+    }
+    if (!name) {
+      const current = getDefaultOriginName();
+      if (!isTableView()) {
+        printOutput({ default: current || null });
+        return;
+      }
+      console.log(current || chalk.dim('No default origin set.'));
+      return;
+    }
+    try {
+      setDefaultOrigin(name);
+    } catch (error) {
+      fail(error);
+    }
+    printResult({ default: name }, `Default origin set to "${name}".`);
+  });
+
+const tokenCmd = configCmd.command('token').description('Manage client tokens for `taxjar serve`');
+
+tokenCmd
+  .command('add <client>')
+  .description('Issue a token for a client of `taxjar serve` (replaces any existing one)')
+  .option('--json', 'Output raw JSON (same as --format json)')
+  .action((client) => {
+    let token;
+    try {
+      token = addServeToken(client);
+    } catch (error) {
+      fail(error);
+    }
+    if (!isTableView()) {
+      printOutput({ client, token });
+      return;
+    }
+    printSuccess(`Token issued for "${client}". It is shown only once:`);
+    console.log(token);
+  });
+
+tokenCmd
+  .command('list')
+  .description('List clients with a `taxjar serve` token')
+  .option('--json', 'Output raw JSON (same as --format json)')
+  .action((options) => {
+    const tokens = listServeTokens();
+
+    if (!isTableView()) {
+      printOutput(tokens);
+      return;
+    }
+
+    printTable(tokens, [
+      { key: 'client', label: 'Client' },
+      { key: 'created_at', label: 'Issued' },
+    ]);
+  });
+
+tokenCmd
+  .command('remove <client>')
+  .description("Revoke a client's token (takes effect immediately, even on a running server)")
+  .option('--json', 'Output raw JSON (same as --format json)')
+  .action((client) => {
+    try {
+      removeServeToken(client);
+    } catch (error) {
+      fail(error);
+    }
+    printResult({ client, revoked: true }, `Token for "${client}" revoked.`);
   });
 
 // ─── Tax Commands ──────────────────────────────────────────────────────────────
@@ -88,77 +421,228 @@ const taxCmd = program.command('tax').description('Tax calculation commands');
 taxCmd
   .command('calculate')
   .description('Calculate sales tax for an order')
-  .requiredOption('--from-country <code>', 'Origin country code (e.g. US)')
-  .requiredOption('--from-zip <zip>', 'Origin postal code')
-  .requiredOption('--from-state <state>', 'Origin state code (e.g. CA)')
+  .option('--from <origin>', 'Saved origin address (see `taxjar config origin`); defaults to the default origin')
+  .option('--from-country <code>', 'Origin country code (e.g. US)')
+  .option('--from-zip <zip>', 'Origin postal code')
+  .option('--from-state <state>', 'Origin state code (e.g. CA)')
   .requiredOption('--to-country <code>', 'Destination country code (e.g. US)')
   .requiredOption('--to-zip <zip>', 'Destination postal code')
   .requiredOption('--to-state <state>', 'Destination state code (e.g. NY)')
-  .requiredOption('--amount <amount>', 'Order amount (subtotal, excluding shipping)')
-  .option('--shipping <amount>', 'Shipping amount', '0')
+  .option('--amount <amount>', 'Order amount (subtotal, excluding shipping); defaults to the line item total', moneyOption('--amount', 'non-negative'))
+  .option('--shipping <amount>', 'Shipping amount', moneyOption('--shipping', 'non-negative'), 0)
   .option('--from-city <city>', 'Origin city')
   .option('--from-street <street>', 'Origin street address')
   .option('--to-city <city>', 'Destination city')
   .option('--to-street <street>', 'Destination street address')
-  .option('--json', 'Output raw JSON')
+  .option('--line-item <spec>', 'Line item as key=value pairs, e.g. "id=1,quantity=2,unit_price=19.99,product_tax_code=20010" (repeatable)', collect, [])
+  .option('--items-file <file>', 'Read line items from a JSON or CSV file')
+  .option('--customer-id <id>', 'Exempt customer to calculate for (see `taxjar customers`)')
+  .addOption(new Option('--exemption-type <type>', 'Exemption type for this sale').choices(EXEMPTION_TYPES))
+  .option('--nexus <origin>', 'Send a saved origin as a nexus address (repeatable; "all" for every saved origin)', collect, [])
+  .option('--offline', 'Estimate from the local rates snapshot without calling TaxJar')
+  .option('--fallback', 'Estimate from the local rates snapshot if TaxJar is unreachable')
+  .option('--record <transaction-id>', 'Also create an order transaction with this ID and the calculated sales tax')
+  .option('--transaction-date <date>', 'With --record, the order date (default: today)', dateOption('--transaction-date'))
+  .option('--json', 'Output raw JSON (same as --format json)')
   .action(async (options) => {
-    const spinner = ora('Calculating tax...').start();
-    try {
-      const params = {
-        from_country: options.fromCountry,
-        from_zip: options.fromZip,
-        from_state: options.fromState,
-        to_country: options.toCountry,
-        to_zip: options.toZip,
-        to_state: options.toState,
-        amount: parseFloat(options.amount),
-        shipping: parseFloat(options.shipping),
-      };
-      if (options.fromCity) params.from_city = options.fromCity;
-      if (options.fromStreet) params.from_street = options.fromStreet;
-      if (options.toCity) params.to_city = options.toCity;
-      if (options.toStreet) params.to_street = options.toStreet;
+    if (options.record && options.offline) failUsage('--record needs a TaxJar calculation; it cannot be combined with --offline.');
+    if (options.transactionDate && !options.record) failUsage('--transaction-date requires --record.');
+    let lineItems;
+    try {
+      lineItems = buildLineItems(options);
+    } catch (error) {
+      failUsage(error);
+    }
+    if (options.amount === undefined && lineItems.length === 0) {
+      failUsage('Provide --amount, or line items via --line-item / --items-file.');
+    }
+
+    const params = {
+      to_country: options.toCountry,
+      to_zip: options.toZip,
+      to_state: options.toState,
+      shipping: options.shipping,
+    };
+    if (options.amount !== undefined) params.amount = options.amount;
+    if (options.fromCountry) params.from_country = options.fromCountry;
+    if (options.fromZip) params.from_zip = options.fromZip;
+    if (options.fromState) params.from_state = options.fromState;
+    if (options.fromCity) params.from_city = options.fromCity;
+    if (options.fromStreet) params.from_street = options.fromStreet;
+    if (options.toCity) params.to_city = options.toCity;
+    if (options.toStreet) params.to_street = options.toStreet;
+    if (options.customerId) params.customer_id = options.customerId;
+    if (options.exemptionType) params.exemption_type = options.exemptionType;
+    if (lineItems.length > 0) params.line_items = lineItems;
+    try {
+      applyOrigin(params, options.from);
+      checkAddresses(params);
+      if (options.nexus.length > 0) params.nexus_addresses = nexusAddresses(options.nexus);
+    } catch (error) {
+      failUsage(error);
+    }
+    if (missingFields(params, ['from_country', 'from_zip', 'from_state']).length > 0) {
+      failUsage('Missing origin: pass --from <origin>, --from-country/--from-zip/--from-state, or set a default with `taxjar config origin default <name>`.');
+    }
+    if (params.nexus_addresses?.length === 0) {
+      failUsage('--nexus all: no origins saved (see `taxjar config origin add`).');
+    }
+
+    const spinner = startSpinner('Calculating tax...');
+    let failure = 'Tax calculation failed';
+    try {
+      let result;
+      if (options.offline) {
+        result = estimateTax(params, loadSnapshot());
+        spinner.warn('Tax estimated from local rates snapshot');
+      } else {
+        try {
+          result = await calculateTax(params);
+          spinner.succeed('Tax calculated');
+        } catch (error) {
+          if (!options.fallback || !isUnreachable(error)) throw error;
+          result = estimateTax(params, loadSnapshot());
+          spinner.warn(`TaxJar unreachable (${error.message}); estimated from local rates snapshot`);
+        }
+      }
 
-      const result = await calculateTax(params);
-      spinner.succeed('Tax calculated');
+      let order;
+      if (options.record) {
+        failure = `Failed to record order ${options.record}`;
+        const orderParams = quoteToOrderParams(params, result, { transactionId: options.record, transactionDate: options.transactionDate });
+        spinner.start('Recording order...');
+        order = await createOrder(orderParams);
+        spinner.succeed(`Recorded as order ${order.transaction_id}`);
+      }
 
-      if (options.json) {
-        printJson(result);
+      // The request rides along so the output can be replayed with `orders create --from-quote`
+      if (!isTableView()) {
+        printOutput({ ...result, request: params, ...(order ? { order } : {}) });
         return;
       }
 
       console.log('');
-      console.log(chalk.bold('Tax Calculation Result'));
-      console.log(chalk.dim('──────────────────────'));
-      console.log(`Order Amount:       ${chalk.white('$' + options.amount)}`);
-      console.log(`Taxable Amount:     ${chalk.white('$' + result.taxable_amount)}`);
-      console.log(`Shipping:           ${chalk.white('$' + options.shipping)}`);
-      console.log(`Freight Taxable:    ${chalk.white(result.freight_taxable ? 'Yes' : 'No')}`);
-      console.log(`Tax Rate:           ${chalk.cyan((result.rate * 100).toFixed(4) + '%')}`);
-      console.log(`Tax to Collect:     ${chalk.green.bold('$' + result.amount_to_collect)}`);
+      if (result.estimate) {
+        console.log(chalk.bold.yellow('Tax Estimate (offline — not a TaxJar calculation)'));
+        console.log(chalk.dim('─────────────────────────────────────────────────'));
+      } else {
+        console.log(chalk.bold('Tax Calculation Result'));
+        console.log(chalk.dim('──────────────────────'));
+      }
+      console.log(`Order Amount:       ${chalk.white(formatMoney(options.amount ?? result.order_total_amount - result.shipping))}`);
+      console.log(`Taxable Amount:     ${chalk.white(formatMoney(result.taxable_amount))}`);
+      console.log(`Shipping:           ${chalk.white(formatMoney(options.shipping))}`);
+      if (result.estimate) {
+        console.log(`Freight Taxable:    ${chalk.white('Unknown (shipping not taxed in estimate)')}`);
+      } else {
+        console.log(`Freight Taxable:    ${chalk.white(result.freight_taxable ? 'Yes' : 'No')}`);
+      }
+      console.log(`Tax Rate:           ${chalk.cyan(formatPercent(result.rate))}`);
+      console.log(`Tax to Collect:     ${chalk.green.bold(formatMoney(result.amount_to_collect))}`);
       console.log(`Has Nexus:          ${chalk.white(result.has_nexus ? 'Yes' : 'No')}`);
+      if (result.exemption_type || options.customerId) {
+        const exemption = [result.exemption_type || options.exemptionType, options.customerId && `customer ${options.customerId}`].filter(Boolean).join(', ');
+        console.log(`Exemption:          ${chalk.yellow(exemption)}`);
+      }
 
       if (result.breakdown) {
         console.log('');
         console.log(chalk.bold('Breakdown'));
         console.log(chalk.dim('─────────'));
         if (result.breakdown.state_tax_collectable) {
-          console.log(`State Tax:          ${chalk.white('$' + result.breakdown.state_tax_collectable)}`);
+          console.log(`State Tax:          ${chalk.white(formatMoney(result.breakdown.state_tax_collectable))}`);
         }
         if (result.breakdown.county_tax_collectable) {
-          console.log(`County Tax:         ${chalk.white('$' + result.breakdown.county_tax_collectable)}`);
+          console.log(`County Tax:         ${chalk.white(formatMoney(result.breakdown.county_tax_collectable))}`);
         }
         if (result.breakdown.city_tax_collectable) {
-          console.log(`City Tax:           ${chalk.white('$' + result.breakdown.city_tax_collectable)}`);
+          console.log(`City Tax:           ${chalk.white(formatMoney(result.breakdown.city_tax_collectable))}`);
         }
         if (result.breakdown.special_district_tax_collectable) {
-          console.log(`Special District:   ${chalk.white('$' + result.breakdown.special_district_tax_collectable)}`);
+          console.log(`Special District:   ${chalk.white(formatMoney(result.breakdown.special_district_tax_collectable))}`);
+        }
+
+        if (result.breakdown.line_items && result.breakdown.line_items.length > 0) {
+          console.log('');
+          console.log(chalk.bold('Line Items'));
+          console.log(chalk.dim('──────────'));
+          printTable(result.breakdown.line_items, [
+            { key: 'id', label: 'ID' },
+            { key: 'taxable_amount', label: 'Taxable', format: formatMoney },
+            { key: 'combined_tax_rate', label: 'Rate', format: formatPercent },
+            { key: 'state_amount', label: 'State Tax', format: formatMoney },
+            { key: 'county_amount', label: 'County Tax', format: formatMoney },
+            { key: 'city_amount', label: 'City Tax', format: formatMoney },
+            { key: 'special_district_amount', label: 'District Tax', format: formatMoney },
+            { key: 'tax_collectable', label: 'Tax', format: formatMoney },
+          ]);
         }
       }
+
+      if (result.estimate) {
+        const basis = result.estimate_basis;
+        console.log('');
+        console.log(chalk.yellow(`Estimated using the ${basis.region || 'unknown region'} average rate from a snapshot taken ${basis.snapshot_taken_at}.`));
+      }
+      if (order) {
+        console.log('');
+        console.log(`Recorded Order:     ${chalk.cyan(order.transaction_id)} (${order.transaction_date.slice(0, 10)}, sales tax ${formatMoney(order.sales_tax)})`);
+      }
     } catch (error) {
-      spinner.fail('Tax calculation failed');
-      console.error(chalk.red(error.message));
-      process.exit(1);
+      spinner.fail(failure);
+      fail(error);
+    }
+  });
+
+taxCmd
+  .command('batch <file>')
+  .description('Calculate sales tax for every row of a CSV or JSONL file')
+  .option('-o, --output <file>', 'Output file (.csv, .jsonl or .ndjson); defaults to <file>.taxes.csv')
+  .option('--concurrency <n>', 'Number of requests to run in parallel', '5')
+  .option('--json', 'Output the run summary as JSON')
+  .action(async (file, options) => {
+    const output = options.output || file.replace(/\.[^./\\]+$/, '') + '.taxes.csv';
+    const concurrency = parseInt(options.concurrency, 10);
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      failUsage(`Invalid --concurrency "${options.concurrency}": expected a positive integer`);
+    }
+
+    let rows;
+    try {
+      rows = readRecords(file);
+    } catch (error) {
+      failUsage(error);
+    }
+
+    const spinner = startSpinner(`Calculating tax for ${rows.length} row(s)...`);
+    try {
+      const results = await calculateTaxBatch(rows, {
+        concurrency,
+        output,
+        onProgress: (done, total) => {
+          spinner.text = `Calculating tax... ${done}/${total}`;
+        },
+      });
+
+      const failed = results.filter(row => row.error).length;
+      const summary = { rows: results.length, succeeded: results.length - failed, failed, output };
+      if (failed > 0) {
+        spinner.warn(`Calculated ${summary.succeeded}/${summary.rows} row(s); ${failed} failed`);
+      } else {
+        spinner.succeed(`Calculated ${summary.rows} row(s)`);
+      }
+
+      if (!isTableView()) {
+        printOutput(summary);
+      } else {
+        console.log(`Results written to ${chalk.cyan(output)}`);
+        if (failed > 0) console.log(chalk.yellow('See the "error" column for rows that failed.'));
+      }
+
+      if (failed > 0) process.exit(1);
+    } catch (error) {
+      spinner.fail('Batch calculation failed');
+      fail(error);
     }
   });
 
@@ -174,57 +658,63 @@ ratesCmd
   .option('--city <city>', 'City name')
   .option('--street <street>', 'Street address')
   .option('--state <state>', 'State code')
-  .option('--json', 'Output raw JSON')
+  .option('--json', 'Output raw JSON (same as --format json)')
   .action(async (options) => {
-    const spinner = ora(`Fetching rates for ${options.zip}...`).start();
+    const params = {};
+    let zip;
     try {
-      const params = { country: options.country };
-      if (options.city) params.city = options.city;
-      if (options.street) params.street = options.street;
-      if (options.state) params.state = options.state;
+      params.country = checkCountry(options.country, '--country');
+      zip = checkZip(options.zip, params.country, '--zip');
+      if (options.state) params.state = checkState(options.state, params.country, '--state');
+    } catch (error) {
+      failUsage(error);
+    }
+    if (options.city) params.city = options.city;
+    if (options.street) params.street = options.street;
 
-      const rate = await getRates(options.zip, params);
+    const spinner = startSpinner(`Fetching rates for ${zip}...`);
+    try {
+      const rate = await getRates(zip, params);
       spinner.succeed('Rates retrieved');
 
-      if (options.json) {
-        printJson(rate);
+      if (!isTableView()) {
+        printOutput(rate);
         return;
       }
 
       console.log('');
-      console.log(chalk.bold(`Tax Rates for ${options.zip} (${options.country})`));
+      console.log(chalk.bold(`Tax Rates for ${zip} (${params.country})`));
       console.log(chalk.dim('──────────────────────────────────'));
       if (rate.city) console.log(`City:               ${chalk.white(rate.city)}`);
       if (rate.state) console.log(`State:              ${chalk.white(rate.state)}`);
       if (rate.county) console.log(`County:             ${chalk.white(rate.county)}`);
       console.log('');
-      if (rate.state_rate) console.log(`State Rate:         ${chalk.cyan((parseFloat(rate.state_rate) * 100).toFixed(4) + '%')}`);
-      if (rate.county_rate) console.log(`County Rate:        ${chalk.cyan((parseFloat(rate.county_rate) * 100).toFixed(4) + '%')}`);
-      if (rate.city_rate) console.log(`City Rate:          ${chalk.cyan((parseFloat(rate.city_rate) * 100).toFixed(4) + '%')}`);
-      if (rate.combined_district_rate) console.log(`District Rate:      ${chalk.cyan((parseFloat(rate.combined_district_rate) * 100).toFixed(4) + '%')}`);
-      console.log(`Combined Rate:      ${chalk.green.bold((parseFloat(rate.combined_rate) * 100).toFixed(4) + '%')}`);
+      if (rate.state_rate) console.log(`State Rate:         ${chalk.cyan(formatPercent(rate.state_rate))}`);
+      if (rate.county_rate) console.log(`County Rate:        ${chalk.cyan(formatPercent(rate.county_rate))}`);
+      if (rate.city_rate) console.log(`City Rate:          ${chalk.cyan(formatPercent(rate.city_rate))}`);
+      if (rate.combined_district_rate) console.log(`District Rate:      ${chalk.cyan(formatPercent(rate.combined_district_rate))}`);
+      console.log(`Combined Rate:      ${chalk.green.bold(formatPercent(rate.combined_rate))}`);
       if (rate.freight_taxable !== undefined) {
         console.log(`Freight Taxable:    ${chalk.white(rate.freight_taxable ? 'Yes' : 'No')}`);
       }
     } catch (error) {
       spinner.fail('Failed to fetch rates');
-      console.error(chalk.red(error.message));
-      process.exit(1);
+      fail(error);
     }
   });
 
 ratesCmd
   .command('summary')
   .description('Get a summary of tax rates for all regions')
-  .option('--json', 'Output raw JSON')
+  .option('--json', 'Output raw JSON (same as --format json)')
   .action(async (options) => {
-    const spinner = ora('Fetching summary rates...').start();
+    const spinner = startSpinner('Fetching summary rates...');
     try {
       const rates = await getSummaryRates();
       spinner.succeed(`Retrieved ${rates.length} region summaries`);
 
-      if (options.json) {
-        printJson(rates);
+      if (!isTableView()) {
+        printOutput(rates);
         return;
       }
 
@@ -238,9 +728,140 @@ ratesCmd
       ]);
     } catch (error) {
       spinner.fail('Failed to fetch summary rates');
-      console.error(chalk.red(error.message));
-      process.exit(1);
+      fail(error);
+    }
+  });
+
+ratesCmd
+  .command('snapshot')
+  .description('Save summary rates and nexus regions locally for offline tax estimates')
+  .option('--json', 'Output raw JSON (same as --format json)')
+  .action(async (options) => {
+    const spinner = startSpinner('Saving rates snapshot...');
+    try {
+      const { path, snapshot } = await takeSnapshot();
+      spinner.succeed(`Saved ${snapshot.summary_rates.length} region rate(s) and ${snapshot.nexus_regions.length} nexus region(s)`);
+
+      if (!isTableView()) {
+        printOutput({ path, taken_at: snapshot.taken_at, regions: snapshot.summary_rates.length, nexus_regions: snapshot.nexus_regions.length });
+        return;
+      }
+
+      console.log(`Snapshot file: ${chalk.dim(path)}`);
+      console.log(chalk.dim('Use `taxjar tax calculate --offline` or `--fallback` to estimate from it.'));
+    } catch (error) {
+      spinner.fail('Failed to save rates snapshot');
+      fail(error);
+    }
+  });
+
+function formatRate(field, value) {
+  if (value === null || value === undefined) return '-';
+  if (field === 'freight_taxable') return value ? 'Yes' : 'No';
+  return formatPercent(value);
+}
+
+ratesCmd
+  .command('watch <file>')
+  .description('Snapshot the current rates for a list of locations (one ZIP per line, or CSV with zip, country, state, city, street)')
+  .option('--concurrency <n>', 'Number of locations to fetch in parallel', '5')
+  .option('--json', 'Output raw JSON (same as --format json)')
+  .action(async (file, options) => {
+    let locations;
+    try {
+      locations = readLocations(file);
+    } catch (error) {
+      failUsage(error);
+    }
+    if (locations.length === 0) failUsage(`${file} lists no locations.`);
+    const concurrency = parseInt(options.concurrency, 10);
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      failUsage(`Invalid --concurrency "${options.concurrency}": expected a positive integer`);
+    }
+    // A snapshot of yesterday's cached rates would hide today's changes
+    setCacheMode('refresh');
+
+    const spinner = startSpinner(`Fetching rates for ${locations.length} location(s)...`);
+    try {
+      const { path, snapshot } = await takeRateSnapshot(locations, {
+        concurrency,
+        onProgress: (done, total) => { spinner.text = `Fetching rates... ${done}/${total}`; },
+      });
+      const failed = snapshot.locations.filter(entry => entry.error);
+      const message = `Saved rates for ${snapshot.locations.length - failed.length} location(s)`;
+      if (failed.length > 0) spinner.warn(`${message}; ${failed.length} failed`);
+      else spinner.succeed(message);
+
+      if (!isTableView()) {
+        printOutput({ path, ...snapshot }, { records: snapshot.locations });
+        return;
+      }
+
+      failed.forEach(entry => console.log(chalk.red(`  ${entry.location}: ${entry.error}`)));
+      console.log(`Snapshot file: ${chalk.dim(path)}`);
+      console.log(chalk.dim('Compare with the previous snapshot using `taxjar rates diff`.'));
+    } catch (error) {
+      spinner.fail('Failed to save rates snapshot');
+      fail(error);
+    }
+  });
+
+ratesCmd
+  .command('diff [before] [after]')
+  .description('Compare two `rates watch` snapshots (default: the latest two); exits 10 when rates changed')
+  .option('--list', 'List saved snapshots instead')
+  .option('--csv', 'Output CSV (same as --format csv)')
+  .option('--json', 'Output raw JSON (same as --format json)')
+  .action((before, after, options) => {
+    const snapshots = listRateSnapshots();
+    if (options.list) {
+      if (!isTableView()) {
+        printOutput(snapshots);
+        return;
+      }
+      printTable(snapshots, [{ key: 'id', label: 'Snapshot' }, { key: 'path', label: 'File' }]);
+      return;
+    }
+
+    let diff;
+    try {
+      const latest = snapshots.map(snapshot => snapshot.path);
+      const refs = [before, after].filter(Boolean);
+      // With one snapshot named, compare it against the latest
+      if (refs.length === 1) refs.push(latest[latest.length - 1]);
+      if (refs.length === 0) refs.push(...latest.slice(-2));
+      if (refs.filter(Boolean).length < 2) {
+        throw new Error('Need two snapshots to compare; run `taxjar rates watch <file>` again later.');
+      }
+      diff = diffRateSnapshots(loadRateSnapshot(refs[0]), loadRateSnapshot(refs[1]));
+    } catch (error) {
+      failUsage(error);
+    }
+
+    if (!isTableView()) {
+      printOutput(diff, { records: diff.changes });
+    } else {
+      console.log(chalk.bold(`Rate changes: ${diff.from} → ${diff.to}`));
+      console.log(chalk.dim('──────────────────────────────────────────────────'));
+      if (diff.changes.length === 0) {
+        console.log(chalk.green('No rate changes.'));
+      } else {
+        printTable(diff.changes.map(change => ({
+          ...change,
+          before: formatRate(change.field, change.before),
+          after: formatRate(change.field, change.after),
+        })), [
+          { key: 'location', label: 'Location' },
+          { key: 'field', label: 'Field' },
+          { key: 'before', label: 'Before' },
+          { key: 'after', label: 'After' },
+        ]);
+      }
+      if (diff.added.length > 0) console.log(chalk.dim(`New locations: ${diff.added.join(', ')}`));
+      if (diff.removed.length > 0) console.log(chalk.dim(`No longer watched: ${diff.removed.join(', ')}`));
+      if (diff.skipped.length > 0) console.log(chalk.yellow(`Not compared (fetch failed): ${diff.skipped.join(', ')}`));
     }
+    if (diff.changes.length > 0) process.exit(EXIT_CODES.changes);
   });
 
 // ─── Nexus Commands ────────────────────────────────────────────────────────────
@@ -250,15 +871,15 @@ const nexusCmd = program.command('nexus').description('Nexus region commands');
 nexusCmd
   .command('list')
   .description('List nexus regions for your account')
-  .option('--json', 'Output raw JSON')
+  .option('--json', 'Output raw JSON (same as --format json)')
   .action(async (options) => {
-    const spinner = ora('Fetching nexus regions...').start();
+    const spinner = startSpinner('Fetching nexus regions...');
     try {
       const regions = await getNexusRegions();
       spinner.succeed(`Found ${regions.length} nexus region(s)`);
 
-      if (options.json) {
-        printJson(regions);
+      if (!isTableView()) {
+        printOutput(regions);
         return;
       }
 
@@ -270,11 +891,161 @@ nexusCmd
       ]);
     } catch (error) {
       spinner.fail('Failed to fetch nexus regions');
-      console.error(chalk.red(error.message));
-      process.exit(1);
+      fail(error);
+    }
+  });
+
+nexusCmd
+  .command('exposure')
+  .description('Compare recorded sales per state against economic nexus thresholds')
+  .option('--year <yyyy>', 'Measure a calendar year instead of the trailing 12 months')
+  .option('--warn-at <percent>', 'Flag states at or above this percentage of a threshold', '80')
+  .option('--thresholds <file>', 'Threshold table to use (default: your edited copy, else the bundled table)')
+  .option('--all', 'Include states with no recorded sales')
+  .option('--concurrency <n>', 'Number of orders to fetch in parallel', '5')
+  .option('--json', 'Output raw JSON (same as --format json)')
+  .action(async (options) => {
+    const year = options.year ? parseInt(options.year, 10) : undefined;
+    if (options.year && !/^\d{4}$/.test(options.year)) {
+      failUsage(`Invalid --year "${options.year}": expected YYYY`);
+    }
+    const warnAt = parseFloat(options.warnAt) / 100;
+    if (Number.isNaN(warnAt) || warnAt <= 0) {
+      failUsage(`Invalid --warn-at "${options.warnAt}": expected a positive percentage`);
+    }
+    const concurrency = parseInt(options.concurrency, 10);
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      failUsage(`Invalid --concurrency "${options.concurrency}": expected a positive integer`);
+    }
+
+    const window = exposureWindow({ year });
+    const spinner = startSpinner(`Fetching orders from ${window.fromDate} to ${window.toDate}...`);
+    try {
+      const { source, thresholds } = loadThresholds(options.thresholds);
+      const [orders, regions] = await Promise.all([
+        fetchTransactions('orders', {
+          ...window,
+          concurrency,
+          onProgress: (done, total) => { spinner.text = `Fetching orders... ${done}/${total}`; },
+        }),
+        getNexusRegions(),
+      ]);
+      const exposure = computeExposure(orders, thresholds, regions, { warnAt });
+      const flagged = exposure.filter(row => row.action_needed);
+      spinner.succeed(`Analyzed ${orders.length} order(s); ${flagged.length} state(s) need attention`);
+
+      if (!isTableView()) {
+        printOutput({ from_date: window.fromDate, to_date: window.toDate, thresholds: source, states: exposure }, { records: exposure });
+        return;
+      }
+
+      const rows = options.all ? exposure : exposure.filter(row => row.transactions > 0);
+      const statusLabel = {
+        over: chalk.red('OVER'),
+        near: chalk.yellow('NEAR'),
+        ok: 'ok',
+        no_threshold: chalk.dim('n/a'),
+      };
+      console.log('');
+      console.log(chalk.bold(`Economic Nexus Exposure: ${window.fromDate} to ${window.toDate}`));
+      console.log(chalk.dim('──────────────────────────────────────────────────'));
+      printTable(rows.map(row => ({
+        ...row,
+        threshold: [row.sales_threshold && formatMoney(row.sales_threshold), row.transaction_threshold && `${row.transaction_threshold} txns`]
+          .filter(Boolean).join(` ${row.test} `),
+        percent: `${row.percent_of_threshold}%`,
+        nexus: row.has_nexus ? 'Yes' : 'No',
+        flag: row.action_needed ? statusLabel[row.status] : row.has_nexus ? chalk.dim('registered') : statusLabel[row.status],
+      })), [
+        { key: 'state', label: 'State' },
+        { key: 'sales', label: 'Sales', format: formatMoney },
+        { key: 'transactions', label: 'Orders' },
+        { key: 'threshold', label: 'Threshold' },
+        { key: 'percent', label: '% of Threshold' },
+        { key: 'nexus', label: 'Has Nexus' },
+        { key: 'flag', label: 'Status' },
+      ]);
+      console.log(chalk.dim(`\nThresholds from ${source}. Verify against current state guidance.`));
+    } catch (error) {
+      spinner.fail('Failed to compute nexus exposure');
+      fail(error);
+    }
+  });
+
+const thresholdsCmd = nexusCmd.command('thresholds').description('View or edit the economic nexus threshold table');
+
+thresholdsCmd
+  .command('list')
+  .description('Show the threshold table in use')
+  .option('--json', 'Output raw JSON (same as --format json)')
+  .action((options) => {
+    const { source, thresholds } = loadThresholds();
+
+    if (!isTableView()) {
+      printOutput(thresholds, { records: Object.entries(thresholds).map(([state, t]) => ({ state, ...t })) });
+      return;
+    }
+
+    printTable(Object.entries(thresholds).map(([state, t]) => ({
+      state,
+      sales: t.sales ?? '',
+      transactions: t.transactions ?? '',
+      test: t.transactions ? (t.both ? 'and' : 'or') : '',
+    })), [
+      { key: 'state', label: 'State' },
+      { key: 'sales', label: 'Sales', format: formatMoney },
+      { key: 'test', label: 'Test' },
+      { key: 'transactions', label: 'Transactions' },
+    ]);
+    console.log(chalk.dim(`\nSource: ${source}`));
+  });
+
+thresholdsCmd
+  .command('init')
+  .description('Copy the bundled threshold table to your config directory for editing')
+  .option('--force', 'Overwrite an existing copy')
+  .option('--json', 'Output raw JSON (same as --format json)')
+  .action((options) => {
+    const { path, created } = initThresholds({ force: options.force });
+    if (!isTableView()) {
+      printOutput({ path, created });
+    } else if (created) {
+      printSuccess(`Threshold table written to ${path}`);
+    } else {
+      console.log(chalk.yellow(`${path} already exists; use --force to overwrite it.`));
     }
   });
 
+thresholdsCmd
+  .command('set <state>')
+  .description('Set the threshold for one state in your editable copy')
+  .option('--sales <amount>', 'Sales threshold in USD', moneyOption('--sales', 'non-negative'))
+  .option('--transactions <count>', 'Transaction count threshold ("none" to remove)')
+  .option('--both', 'Both tests must be met')
+  .option('--either', 'Either test is enough')
+  .option('--json', 'Output raw JSON (same as --format json)')
+  .action((state, options) => {
+    let code;
+    try {
+      code = checkState(state, 'US', 'state');
+    } catch (error) {
+      failUsage(error);
+    }
+    const update = {};
+    if (options.sales !== undefined) update.sales = options.sales;
+    if (options.transactions !== undefined) {
+      update.transactions = options.transactions === 'none' ? null : parseInt(options.transactions, 10);
+    }
+    if (options.both) update.both = true;
+    if (options.either) update.both = false;
+    if (Number.isNaN(update.transactions)) {
+      failUsage('--transactions must be a number or "none".');
+    }
+
+    const threshold = setThreshold(code, update);
+    printResult({ state: code, ...threshold }, `${code}: ${formatMoney(threshold.sales)}${threshold.transactions ? ` ${threshold.both ? 'and' : 'or'} ${threshold.transactions} transactions` : ''}`);
+  });
+
 // ─── Categories Commands ───────────────────────────────────────────────────────
 
 const categoriesCmd = program.command('categories').description('Product tax category commands');
@@ -282,15 +1053,15 @@ const categoriesCmd = program.command('categories').description('Product tax cat
 categoriesCmd
   .command('list')
   .description('List all product tax categories')
-  .option('--json', 'Output raw JSON')
+  .option('--json', 'Output raw JSON (same as --format json)')
   .action(async (options) => {
-    const spinner = ora('Fetching categories...').start();
+    const spinner = startSpinner('Fetching categories...');
     try {
       const categories = await getCategories();
       spinner.succeed(`Found ${categories.length} categories`);
 
-      if (options.json) {
-        printJson(categories);
+      if (!isTableView()) {
+        printOutput(categories);
         return;
       }
 
@@ -301,35 +1072,162 @@ categoriesCmd
       ]);
     } catch (error) {
       spinner.fail('Failed to fetch categories');
-      console.error(chalk.red(error.message));
-      process.exit(1);
+      fail(error);
     }
   });
 
-// ─── Orders Commands ───────────────────────────────────────────────────────────
+// Shared by `orders import` and `refunds import`
+function addImportCommand(parent, type) {
+  const noun = type === 'order' ? 'orders' : 'refunds';
+
+  parent
+    .command('import <file>')
+    .description(`Create or update ${noun} from a CSV or JSONL file; with --dry-run, validate rows and report what would change`)
+    .option('--journal <file>', 'Progress journal used to resume interrupted imports (default: <file>.journal.jsonl)')
+    .option('--fresh', 'Ignore any existing journal and import every row')
+    .option('--concurrency <n>', 'Number of rows to import in parallel', '1')
+    .option('--json', 'Output raw JSON (same as --format json)')
+    .action(async (file, options) => {
+      // The global --dry-run; the importer skips its writes itself rather than stopping at the first one
+      const dryRun = Boolean(program.opts().dryRun);
+      const concurrency = parseInt(options.concurrency, 10);
+      if (!Number.isInteger(concurrency) || concurrency < 1) {
+        failUsage(`Invalid --concurrency "${options.concurrency}": expected a positive integer`);
+      }
 
-const ordersCmd = program.command('orders').description('Order transaction commands');
+      let rows;
+      try {
+        rows = readRecords(file);
+      } catch (error) {
+        failUsage(error);
+      }
 
-ordersCmd
-  .command('list')
-  .description('List order transactions')
-  .option('--from-date <date>', 'Start date (YYYY-MM-DD)')
-  .option('--to-date <date>', 'End date (YYYY-MM-DD)')
-  .option('--status <status>', 'Filter by status (authorized, captured, refunded, voided)')
-  .option('--json', 'Output raw JSON')
-  .action(async (options) => {
-    const spinner = ora('Fetching orders...').start();
-    try {
-      const params = {};
-      if (options.fromDate) params.from_transaction_date = options.fromDate;
-      if (options.toDate) params.to_transaction_date = options.toDate;
-      if (options.status) params.status = options.status;
+      const journal = options.journal || defaultJournalPath(file);
+      const verb = dryRun ? 'Checking' : 'Importing';
+      const spinner = startSpinner(`${verb} ${rows.length} ${noun}...`);
+      try {
+        const { summary, results } = await importTransactions(rows, {
+          type,
+          journal,
+          fresh: options.fresh,
+          dryRun,
+          concurrency,
+          onProgress: (done, total) => {
+            spinner.text = `${verb} ${noun}... ${done}/${total}`;
+          },
+        });
+
+        const line = `${summary.created} created, ${summary.updated} updated, ${summary.skipped} skipped, ${summary.failed} failed`;
+        const prefix = dryRun ? 'Dry run: ' : '';
+        if (summary.failed > 0) {
+          spinner.warn(prefix + line);
+        } else {
+          spinner.succeed(prefix + line);
+        }
 
-      const orders = await listOrders(params);
-      spinner.succeed(`Found ${orders.length} order(s)`);
+        if (!isTableView()) {
+          printOutput({ dry_run: dryRun, journal, summary, results }, { records: results });
+        } else {
+          const failures = results.filter(result => result.status === 'failed');
+          if (failures.length > 0) {
+            console.log('');
+            printTable(failures, [
+              { key: 'row', label: 'Row' },
+              { key: 'transaction_id', label: 'Transaction ID' },
+              { key: 'error', label: 'Error' },
+            ]);
+          }
+          if (!dryRun && summary.failed > 0) {
+            console.log(chalk.dim(`\nRe-run the same command to retry failed rows; imported rows are recorded in ${journal}.`));
+          }
+        }
+
+        if (summary.failed > 0) process.exit(1);
+      } catch (error) {
+        spinner.fail(`Failed to import ${noun}`);
+        fail(error);
+      }
+    });
+}
+
+// ─── Orders Commands ───────────────────────────────────────────────────────────
+
+const LOCAL_COLUMNS = [
+  { key: 'transaction_id', label: 'Transaction ID' },
+  { key: 'transaction_date', label: 'Date' },
+  { key: 'to_state', label: 'State' },
+  { key: 'to_zip', label: 'ZIP' },
+  { key: 'amount', label: 'Amount', format: formatMoney },
+  { key: 'shipping', label: 'Shipping', format: formatMoney },
+  { key: 'sales_tax', label: 'Sales Tax', format: formatMoney },
+];
+
+function localRows(records) {
+  return records.map(record => ({
+    ...Object.fromEntries(LOCAL_COLUMNS.map(({ key }) => [key, record[key] ?? ''])),
+    transaction_date: (record.transaction_date || '').slice(0, 10),
+  }));
+}
+
+// `orders list --local`: same output shape as the API listing, with more detail in the table
+function listLocalOrders(options) {
+  if (options.status) failUsage('--status is not available with --local.');
+  let orders;
+  try {
+    orders = queryArchive('orders', archiveFilters(options));
+  } catch (error) {
+    failUsage(error);
+  }
+
+  if (!isTableView()) {
+    const ids = orders.map(order => order.transaction_id);
+    printOutput(ids, { records: ids.map(id => ({ transaction_id: id })) });
+    return;
+  }
+  printTable(localRows(orders), LOCAL_COLUMNS);
+  console.log(chalk.dim(`\n${orders.length} order(s) from the local archive; run \`taxjar sync\` to refresh it.`));
+}
+
+// `orders get --local`
+function localOrder(transactionId) {
+  const order = loadArchive('orders').get(String(transactionId));
+  if (!order) throw new Error(`Order ${transactionId} is not in the local archive. Run \`taxjar sync\`, or drop --local.`);
+  return order;
+}
+
+const ordersCmd = program.command('orders').description('Order transaction commands');
 
-      if (options.json) {
-        printJson(orders);
+addArchiveFilterOptions(
+  ordersCmd
+    .command('list')
+    .description('List order transactions')
+    .option('--from-date <date>', 'Start date (YYYY-MM-DD)', dateOption('--from-date'))
+    .option('--to-date <date>', 'End date (YYYY-MM-DD)', dateOption('--to-date'))
+    .option('--status <status>', 'Filter by status (authorized, captured, refunded, voided)')
+    .option('--local', 'List from the local archive (see `taxjar sync`) instead of TaxJar; enables the filters below'),
+)
+  .option('--json', 'Output raw JSON (same as --format json)')
+  .action(async (options) => {
+    if (options.local) {
+      listLocalOrders(options);
+      return;
+    }
+    if (hasArchiveFilters(options)) {
+      failUsage('--state, --country, --zip, --customer-id and the amount/tax filters need --local.');
+    }
+
+    const spinner = startSpinner('Fetching orders...');
+    try {
+      const params = {};
+      if (options.fromDate) params.from_transaction_date = options.fromDate;
+      if (options.toDate) params.to_transaction_date = options.toDate;
+      if (options.status) params.status = options.status;
+
+      const orders = await listOrders(params);
+      spinner.succeed(`Found ${orders.length} order(s)`);
+
+      if (!isTableView()) {
+        printOutput(orders, { records: orders.map(id => ({ transaction_id: id })) });
         return;
       }
 
@@ -344,23 +1242,23 @@ ordersCmd
       console.log(chalk.dim('\nUse `taxjar orders get <transaction-id>` to see order details.'));
     } catch (error) {
       spinner.fail('Failed to fetch orders');
-      console.error(chalk.red(error.message));
-      process.exit(1);
+      fail(error);
     }
   });
 
 ordersCmd
   .command('get <transaction-id>')
   .description('Get a specific order transaction')
-  .option('--json', 'Output raw JSON')
+  .option('--local', 'Read the order from the local archive (see `taxjar sync`)')
+  .option('--json', 'Output raw JSON (same as --format json)')
   .action(async (transactionId, options) => {
-    const spinner = ora(`Fetching order ${transactionId}...`).start();
+    const spinner = startSpinner(`Fetching order ${transactionId}...`);
     try {
-      const order = await getOrder(transactionId);
+      const order = options.local ? localOrder(transactionId) : await getOrder(transactionId);
       spinner.succeed('Order retrieved');
 
-      if (options.json) {
-        printJson(order);
+      if (!isTableView()) {
+        printOutput(order);
         return;
       }
 
@@ -368,11 +1266,13 @@ ordersCmd
       console.log(chalk.bold(`Order: ${order.transaction_id}`));
       console.log(chalk.dim('──────────────────────────────────'));
       console.log(`Transaction Date:   ${chalk.white(order.transaction_date)}`);
-      console.log(`Amount:             ${chalk.white('$' + order.amount)}`);
-      console.log(`Shipping:           ${chalk.white('$' + order.shipping)}`);
-      console.log(`Sales Tax:          ${chalk.green('$' + order.sales_tax)}`);
+      console.log(`Amount:             ${chalk.white(formatMoney(order.amount))}`);
+      console.log(`Shipping:           ${chalk.white(formatMoney(order.shipping))}`);
+      console.log(`Sales Tax:          ${chalk.green(formatMoney(order.sales_tax))}`);
       if (order.to_country) console.log(`Destination:        ${chalk.white(`${order.to_city || ''}, ${order.to_state || ''} ${order.to_zip || ''} ${order.to_country}`.trim())}`);
       if (order.from_country) console.log(`Origin:             ${chalk.white(`${order.from_city || ''}, ${order.from_state || ''} ${order.from_zip || ''} ${order.from_country}`.trim())}`);
+      if (order.customer_id) console.log(`Customer:           ${chalk.white(order.customer_id)}`);
+      if (order.exemption_type) console.log(`Exemption Type:     ${chalk.yellow(order.exemption_type)}`);
 
       if (order.line_items && order.line_items.length > 0) {
         console.log('');
@@ -382,126 +1282,115 @@ ordersCmd
           { key: 'id', label: 'ID' },
           { key: 'description', label: 'Description' },
           { key: 'quantity', label: 'Qty' },
-          { key: 'unit_price', label: 'Unit Price' },
-          { key: 'sales_tax', label: 'Sales Tax' },
+          { key: 'unit_price', label: 'Unit Price', format: formatMoney },
+          { key: 'sales_tax', label: 'Sales Tax', format: formatMoney },
         ]);
       }
     } catch (error) {
       spinner.fail('Failed to fetch order');
-      console.error(chalk.red(error.message));
-      process.exit(1);
+      fail(error);
     }
   });
 
-ordersCmd
-  .command('create')
-  .description('Create an order transaction')
-  .requiredOption('--transaction-id <id>', 'Unique transaction ID')
-  .requiredOption('--transaction-date <date>', 'Transaction date (YYYY-MM-DD)')
-  .requiredOption('--to-country <code>', 'Destination country code')
-  .requiredOption('--to-zip <zip>', 'Destination postal code')
-  .requiredOption('--to-state <state>', 'Destination state code')
-  .requiredOption('--amount <amount>', 'Total order amount')
-  .requiredOption('--shipping <amount>', 'Shipping amount')
-  .requiredOption('--sales-tax <tax>', 'Sales tax collected')
-  .option('--from-country <code>', 'Origin country code')
-  .option('--from-zip <zip>', 'Origin postal code')
-  .option('--from-state <state>', 'Origin state code')
-  .option('--to-city <city>', 'Destination city')
-  .option('--from-city <city>', 'Origin city')
-  .option('--json', 'Output raw JSON')
+addTransactionOptions(
+  ordersCmd
+    .command('create')
+    .description('Create an order transaction')
+    .option('--transaction-id <id>', 'Unique transaction ID')
+    .option('--from-quote <file>', 'Pre-fill addresses, line items and sales tax from saved `tax calculate --json` output; flags override'),
+)
+  .option('--json', 'Output raw JSON (same as --format json)')
   .action(async (options) => {
-    const spinner = ora('Creating order...').start();
-    try {
-      const params = {
-        transaction_id: options.transactionId,
-        transaction_date: options.transactionDate,
-        to_country: options.toCountry,
-        to_zip: options.toZip,
-        to_state: options.toState,
-        amount: parseFloat(options.amount),
-        shipping: parseFloat(options.shipping),
-        sales_tax: parseFloat(options.salesTax),
-      };
-      if (options.fromCountry) params.from_country = options.fromCountry;
-      if (options.fromZip) params.from_zip = options.fromZip;
-      if (options.fromState) params.from_state = options.fromState;
-      if (options.toCity) params.to_city = options.toCity;
-      if (options.fromCity) params.from_city = options.fromCity;
+    let params;
+    try {
+      params = buildTransactionParams(options);
+      if (options.fromQuote) {
+        const { request, tax } = loadQuote(options.fromQuote);
+        params = { ...quoteToOrderParams(request, tax), ...params };
+      }
+      if (options.transactionId) params.transaction_id = options.transactionId;
+      if (!options.from) applyOrigin(params);
+      requireFields(params, ORDER_REQUIRED_FIELDS);
+    } catch (error) {
+      failUsage(error);
+    }
 
+    const spinner = startSpinner('Creating order...');
+    try {
       const order = await createOrder(params);
       spinner.succeed('Order created successfully');
 
-      if (options.json) {
-        printJson(order);
+      if (!isTableView()) {
+        printOutput(order);
         return;
       }
 
       console.log(`Transaction ID:  ${chalk.cyan(order.transaction_id)}`);
-      console.log(`Amount:          ${chalk.white('$' + order.amount)}`);
-      console.log(`Sales Tax:       ${chalk.green('$' + order.sales_tax)}`);
+      console.log(`Amount:          ${chalk.white(formatMoney(order.amount))}`);
+      console.log(`Sales Tax:       ${chalk.green(formatMoney(order.sales_tax))}`);
+      if (order.line_items && order.line_items.length > 0) {
+        console.log(`Line Items:      ${chalk.white(order.line_items.length)}`);
+      }
     } catch (error) {
       spinner.fail('Failed to create order');
-      console.error(chalk.red(error.message));
-      process.exit(1);
+      fail(error);
     }
   });
 
-ordersCmd
-  .command('update <transaction-id>')
-  .description('Update an existing order transaction')
-  .option('--amount <amount>', 'Total order amount')
-  .option('--shipping <amount>', 'Shipping amount')
-  .option('--sales-tax <tax>', 'Sales tax collected')
-  .option('--transaction-date <date>', 'Transaction date (YYYY-MM-DD)')
-  .option('--json', 'Output raw JSON')
+addTransactionOptions(
+  ordersCmd
+    .command('update <transaction-id>')
+    .description('Update an existing order transaction'),
+)
+  .option('--json', 'Output raw JSON (same as --format json)')
   .action(async (transactionId, options) => {
-    const spinner = ora(`Updating order ${transactionId}...`).start();
+    let params;
     try {
-      const params = { transaction_id: transactionId };
-      if (options.amount) params.amount = parseFloat(options.amount);
-      if (options.shipping) params.shipping = parseFloat(options.shipping);
-      if (options.salesTax) params.sales_tax = parseFloat(options.salesTax);
-      if (options.transactionDate) params.transaction_date = options.transactionDate;
+      params = { ...buildTransactionParams(options), transaction_id: transactionId };
+    } catch (error) {
+      failUsage(error);
+    }
 
+    const spinner = startSpinner(`Updating order ${transactionId}...`);
+    try {
       const order = await updateOrder(transactionId, params);
       spinner.succeed('Order updated successfully');
 
-      if (options.json) {
-        printJson(order);
+      if (!isTableView()) {
+        printOutput(order);
         return;
       }
 
       console.log(`Transaction ID:  ${chalk.cyan(order.transaction_id)}`);
-      console.log(`Amount:          ${chalk.white('$' + order.amount)}`);
-      console.log(`Sales Tax:       ${chalk.green('$' + order.sales_tax)}`);
+      console.log(`Amount:          ${chalk.white(formatMoney(order.amount))}`);
+      console.log(`Sales Tax:       ${chalk.green(formatMoney(order.sales_tax))}`);
     } catch (error) {
       spinner.fail('Failed to update order');
-      console.error(chalk.red(error.message));
-      process.exit(1);
+      fail(error);
     }
   });
 
+addImportCommand(ordersCmd, 'order');
+
 ordersCmd
   .command('delete <transaction-id>')
   .description('Delete an order transaction')
-  .option('--json', 'Output raw JSON')
+  .option('--json', 'Output raw JSON (same as --format json)')
   .action(async (transactionId, options) => {
-    const spinner = ora(`Deleting order ${transactionId}...`).start();
+    const spinner = startSpinner(`Deleting order ${transactionId}...`);
     try {
       const order = await deleteOrder(transactionId);
       spinner.succeed('Order deleted successfully');
 
-      if (options.json) {
-        printJson(order);
+      if (!isTableView()) {
+        printOutput(order);
         return;
       }
 
       console.log(`Deleted transaction: ${chalk.cyan(transactionId)}`);
     } catch (error) {
       spinner.fail('Failed to delete order');
-      console.error(chalk.red(error.message));
-      process.exit(1);
+      fail(error);
     }
   });
 
@@ -512,11 +1401,11 @@ const refundsCmd = program.command('refunds').description('Refund transaction co
 refundsCmd
   .command('list')
   .description('List refund transactions')
-  .option('--from-date <date>', 'Start date (YYYY-MM-DD)')
-  .option('--to-date <date>', 'End date (YYYY-MM-DD)')
-  .option('--json', 'Output raw JSON')
+  .option('--from-date <date>', 'Start date (YYYY-MM-DD)', dateOption('--from-date'))
+  .option('--to-date <date>', 'End date (YYYY-MM-DD)', dateOption('--to-date'))
+  .option('--json', 'Output raw JSON (same as --format json)')
   .action(async (options) => {
-    const spinner = ora('Fetching refunds...').start();
+    const spinner = startSpinner('Fetching refunds...');
     try {
       const params = {};
       if (options.fromDate) params.from_transaction_date = options.fromDate;
@@ -525,8 +1414,8 @@ refundsCmd
       const refunds = await listRefunds(params);
       spinner.succeed(`Found ${refunds.length} refund(s)`);
 
-      if (options.json) {
-        printJson(refunds);
+      if (!isTableView()) {
+        printOutput(refunds, { records: refunds.map(id => ({ transaction_id: id })) });
         return;
       }
 
@@ -540,23 +1429,22 @@ refundsCmd
       ]);
     } catch (error) {
       spinner.fail('Failed to fetch refunds');
-      console.error(chalk.red(error.message));
-      process.exit(1);
+      fail(error);
     }
   });
 
 refundsCmd
   .command('get <transaction-id>')
   .description('Get a specific refund transaction')
-  .option('--json', 'Output raw JSON')
+  .option('--json', 'Output raw JSON (same as --format json)')
   .action(async (transactionId, options) => {
-    const spinner = ora(`Fetching refund ${transactionId}...`).start();
+    const spinner = startSpinner(`Fetching refund ${transactionId}...`);
     try {
       const refund = await getRefund(transactionId);
       spinner.succeed('Refund retrieved');
 
-      if (options.json) {
-        printJson(refund);
+      if (!isTableView()) {
+        printOutput(refund);
         return;
       }
 
@@ -564,58 +1452,306 @@ refundsCmd
       console.log(chalk.bold(`Refund: ${refund.transaction_id}`));
       console.log(chalk.dim('──────────────────────────────────'));
       console.log(`Transaction Date:   ${chalk.white(refund.transaction_date)}`);
-      console.log(`Refund Amount:      ${chalk.white('$' + refund.amount)}`);
-      console.log(`Sales Tax Refund:   ${chalk.green('$' + refund.sales_tax)}`);
+      console.log(`Refund Amount:      ${chalk.white(formatMoney(refund.amount))}`);
+      console.log(`Sales Tax Refund:   ${chalk.green(formatMoney(refund.sales_tax))}`);
     } catch (error) {
       spinner.fail('Failed to fetch refund');
-      console.error(chalk.red(error.message));
-      process.exit(1);
+      fail(error);
     }
   });
 
-refundsCmd
-  .command('create')
-  .description('Create a refund transaction')
-  .requiredOption('--transaction-id <id>', 'Unique refund transaction ID')
-  .requiredOption('--transaction-date <date>', 'Transaction date (YYYY-MM-DD)')
-  .requiredOption('--transaction-reference-id <id>', 'Original order transaction ID')
-  .requiredOption('--to-country <code>', 'Destination country code')
-  .requiredOption('--to-zip <zip>', 'Destination postal code')
-  .requiredOption('--to-state <state>', 'Destination state code')
-  .requiredOption('--amount <amount>', 'Refund amount (negative value)')
-  .requiredOption('--shipping <amount>', 'Shipping amount (negative if refunding)')
-  .requiredOption('--sales-tax <tax>', 'Sales tax to refund (negative value)')
-  .option('--json', 'Output raw JSON')
+const REFUND_DESCRIPTIONS = {
+  amount: 'Refund amount, excluding shipping and sales tax (negative value)',
+  shipping: 'Shipping amount (negative if refunding)',
+  sales_tax: 'Sales tax to refund (negative value)',
+};
+
+function printRefundSummary(refund) {
+  console.log(`Transaction ID:  ${chalk.cyan(refund.transaction_id)}`);
+  if (refund.transaction_reference_id) console.log(`Order:           ${chalk.white(refund.transaction_reference_id)}`);
+  console.log(`Refund Amount:   ${chalk.white(formatMoney(refund.amount))}`);
+  console.log(`Sales Tax:       ${chalk.green(formatMoney(refund.sales_tax))}`);
+}
+
+addTransactionOptions(
+  refundsCmd
+    .command('create')
+    .description('Create a refund transaction')
+    .option('--transaction-id <id>', 'Unique refund transaction ID (with --from-order, defaults to <order-id>-refund)')
+    .option('--transaction-reference-id <id>', 'Original order transaction ID')
+    .option('--from-order <id>', 'Pre-fill addresses and negated amounts from this order; flags override. Refunds already recorded for the order count against its totals')
+    .option('--item <id[:quantity]>', 'With --from-order, refund only this line item (optionally a quantity of it); repeatable', collect, []),
+  REFUND_DESCRIPTIONS,
+)
+  .option('--json', 'Output raw JSON (same as --format json)')
   .action(async (options) => {
-    const spinner = ora('Creating refund...').start();
-    try {
-      const params = {
-        transaction_id: options.transactionId,
-        transaction_date: options.transactionDate,
-        transaction_reference_id: options.transactionReferenceId,
-        to_country: options.toCountry,
-        to_zip: options.toZip,
-        to_state: options.toState,
-        amount: parseFloat(options.amount),
-        shipping: parseFloat(options.shipping),
-        sales_tax: parseFloat(options.salesTax),
-      };
+    let params;
+    let items;
+    try {
+      if (options.item.length > 0 && !options.fromOrder) throw new Error('--item requires --from-order.');
+      items = options.item.map(parseRefundItem);
+      params = buildTransactionParams(options, 'refund');
+      if (options.transactionId) params.transaction_id = options.transactionId;
+      if (options.transactionReferenceId) params.transaction_reference_id = options.transactionReferenceId;
+    } catch (error) {
+      failUsage(error);
+    }
+
+    if (options.fromOrder) {
+      let order;
+      let previous;
+      const orderSpinner = startSpinner(`Fetching order ${options.fromOrder}...`);
+      try {
+        order = await getOrder(options.fromOrder);
+        orderSpinner.text = 'Checking earlier refunds...';
+        previous = await fetchOrderRefunds(order, {
+          onProgress: (done, total) => { orderSpinner.text = `Checking earlier refunds... ${done}/${total}`; },
+        });
+        orderSpinner.succeed(`Order retrieved${previous.length > 0 ? ` (${previous.length} earlier refund(s))` : ''}`);
+      } catch (error) {
+        orderSpinner.fail('Failed to fetch order');
+        fail(error);
+      }
 
+      try {
+        params = { ...refundFromOrder(order, { items, previous }), ...params };
+        checkRefundLimits(params, order, previous);
+      } catch (error) {
+        failUsage(error);
+      }
+    }
+
+    try {
+      requireFields(params, REFUND_REQUIRED_FIELDS);
+    } catch (error) {
+      failUsage(error);
+    }
+
+    const spinner = startSpinner('Creating refund...');
+    try {
       const refund = await createRefund(params);
       spinner.succeed('Refund created successfully');
 
-      if (options.json) {
-        printJson(refund);
+      if (!isTableView()) {
+        printOutput(refund);
         return;
       }
 
-      console.log(`Transaction ID:  ${chalk.cyan(refund.transaction_id)}`);
-      console.log(`Refund Amount:   ${chalk.white('$' + refund.amount)}`);
-      console.log(`Sales Tax:       ${chalk.green('$' + refund.sales_tax)}`);
+      printRefundSummary(refund);
     } catch (error) {
       spinner.fail('Failed to create refund');
-      console.error(chalk.red(error.message));
-      process.exit(1);
+      fail(error);
+    }
+  });
+
+addTransactionOptions(
+  refundsCmd
+    .command('update <transaction-id>')
+    .description('Update an existing refund transaction')
+    .option('--transaction-reference-id <id>', 'Original order transaction ID'),
+  REFUND_DESCRIPTIONS,
+)
+  .option('--json', 'Output raw JSON (same as --format json)')
+  .action(async (transactionId, options) => {
+    let params;
+    try {
+      params = { ...buildTransactionParams(options, 'refund'), transaction_id: transactionId };
+      if (options.transactionReferenceId) params.transaction_reference_id = options.transactionReferenceId;
+    } catch (error) {
+      failUsage(error);
+    }
+
+    const spinner = startSpinner(`Updating refund ${transactionId}...`);
+    try {
+      const refund = await updateRefund(transactionId, params);
+      spinner.succeed('Refund updated successfully');
+
+      if (!isTableView()) {
+        printOutput(refund);
+        return;
+      }
+
+      printRefundSummary(refund);
+    } catch (error) {
+      spinner.fail('Failed to update refund');
+      fail(error);
+    }
+  });
+
+refundsCmd
+  .command('delete <transaction-id>')
+  .description('Delete a refund transaction')
+  .option('--json', 'Output raw JSON (same as --format json)')
+  .action(async (transactionId) => {
+    const spinner = startSpinner(`Deleting refund ${transactionId}...`);
+    try {
+      const refund = await deleteRefund(transactionId);
+      spinner.succeed('Refund deleted successfully');
+
+      if (!isTableView()) {
+        printOutput(refund);
+        return;
+      }
+
+      console.log(`Deleted transaction: ${chalk.cyan(transactionId)}`);
+    } catch (error) {
+      spinner.fail('Failed to delete refund');
+      fail(error);
+    }
+  });
+
+addImportCommand(refundsCmd, 'refund');
+
+// ─── Customers Commands ────────────────────────────────────────────────────────
+
+const customersCmd = program.command('customers').description('Exempt customer commands');
+
+function printCustomer(customer) {
+  console.log('');
+  console.log(chalk.bold(`Customer: ${customer.customer_id}`));
+  console.log(chalk.dim('──────────────────────────────────'));
+  console.log(`Name:               ${chalk.white(customer.name)}`);
+  console.log(`Exemption Type:     ${chalk.cyan(customer.exemption_type)}`);
+  console.log(`Exempt Regions:     ${chalk.white(formatExemptRegions(customer.exempt_regions))}`);
+  const address = [customer.street, customer.city, [customer.state, customer.zip].filter(Boolean).join(' '), customer.country]
+    .filter(Boolean).join(', ');
+  if (address) console.log(`Address:            ${chalk.white(address)}`);
+}
+
+customersCmd
+  .command('list')
+  .description('List customer IDs')
+  .option('--json', 'Output raw JSON (same as --format json)')
+  .action(async () => {
+    const spinner = startSpinner('Fetching customers...');
+    try {
+      const customers = await listCustomers();
+      spinner.succeed(`Found ${customers.length} customer(s)`);
+
+      if (!isTableView()) {
+        printOutput(customers, { records: customers.map(id => ({ customer_id: id })) });
+        return;
+      }
+
+      printTable(customers.map(id => ({ customer_id: id })), [
+        { key: 'customer_id', label: 'Customer ID' },
+      ]);
+      if (customers.length > 0) {
+        console.log(chalk.dim('\nUse `taxjar customers get <customer-id>` to see exemption details.'));
+      }
+    } catch (error) {
+      spinner.fail('Failed to fetch customers');
+      fail(error);
+    }
+  });
+
+customersCmd
+  .command('get <customer-id>')
+  .description('Get a customer and its exemption')
+  .option('--json', 'Output raw JSON (same as --format json)')
+  .action(async (customerId) => {
+    const spinner = startSpinner(`Fetching customer ${customerId}...`);
+    try {
+      const customer = await getCustomer(customerId);
+      spinner.succeed('Customer retrieved');
+
+      if (!isTableView()) {
+        printOutput(customer);
+        return;
+      }
+
+      printCustomer(customer);
+    } catch (error) {
+      spinner.fail('Failed to fetch customer');
+      fail(error);
+    }
+  });
+
+addCustomerOptions(
+  customersCmd
+    .command('create')
+    .description('Create an exempt customer')
+    .option('--customer-id <id>', 'Unique customer ID'),
+)
+  .option('--json', 'Output raw JSON (same as --format json)')
+  .action(async (options) => {
+    let params;
+    try {
+      params = buildCustomerParams(options);
+      requireCustomerFields(params);
+    } catch (error) {
+      failUsage(error);
+    }
+
+    const spinner = startSpinner('Creating customer...');
+    try {
+      const customer = await createCustomer(params);
+      spinner.succeed('Customer created successfully');
+
+      if (!isTableView()) {
+        printOutput(customer);
+        return;
+      }
+
+      printCustomer(customer);
+    } catch (error) {
+      spinner.fail('Failed to create customer');
+      fail(error);
+    }
+  });
+
+addCustomerOptions(
+  customersCmd
+    .command('update <customer-id>')
+    .description('Update a customer; fields not given keep their current values'),
+)
+  .option('--json', 'Output raw JSON (same as --format json)')
+  .action(async (customerId, options) => {
+    let changes;
+    try {
+      changes = buildCustomerParams(options);
+    } catch (error) {
+      failUsage(error);
+    }
+
+    const spinner = startSpinner(`Updating customer ${customerId}...`);
+    try {
+      // TaxJar requires name and exemption_type on every update, so start from the stored customer
+      const existing = await getCustomer(customerId);
+      const customer = await updateCustomer(customerId, { ...existing, ...changes, customer_id: customerId });
+      spinner.succeed('Customer updated successfully');
+
+      if (!isTableView()) {
+        printOutput(customer);
+        return;
+      }
+
+      printCustomer(customer);
+    } catch (error) {
+      spinner.fail('Failed to update customer');
+      fail(error);
+    }
+  });
+
+customersCmd
+  .command('delete <customer-id>')
+  .description('Delete a customer')
+  .option('--json', 'Output raw JSON (same as --format json)')
+  .action(async (customerId) => {
+    const spinner = startSpinner(`Deleting customer ${customerId}...`);
+    try {
+      const customer = await deleteCustomer(customerId);
+      spinner.succeed('Customer deleted successfully');
+
+      if (!isTableView()) {
+        printOutput(customer);
+        return;
+      }
+
+      console.log(`Deleted customer: ${chalk.cyan(customerId)}`);
+    } catch (error) {
+      spinner.fail('Failed to delete customer');
+      fail(error);
     }
   });
 
@@ -631,21 +1767,26 @@ validateCmd
   .option('--zip <zip>', 'ZIP code')
   .option('--city <city>', 'City')
   .option('--street <street>', 'Street address')
-  .option('--json', 'Output raw JSON')
+  .option('--json', 'Output raw JSON (same as --format json)')
   .action(async (options) => {
-    const spinner = ora('Validating address...').start();
+    const params = {};
     try {
-      const params = { country: options.country };
-      if (options.state) params.state = options.state;
-      if (options.zip) params.zip = options.zip;
-      if (options.city) params.city = options.city;
-      if (options.street) params.street = options.street;
+      params.country = checkCountry(options.country, '--country');
+      if (options.state) params.state = checkState(options.state, params.country, '--state');
+      if (options.zip) params.zip = checkZip(options.zip, params.country, '--zip');
+    } catch (error) {
+      failUsage(error);
+    }
+    if (options.city) params.city = options.city;
+    if (options.street) params.street = options.street;
 
+    const spinner = startSpinner('Validating address...');
+    try {
       const addresses = await validateAddress(params);
       spinner.succeed(`Found ${addresses.length} address match(es)`);
 
-      if (options.json) {
-        printJson(addresses);
+      if (!isTableView()) {
+        printOutput(addresses);
         return;
       }
 
@@ -660,23 +1801,22 @@ validateCmd
       });
     } catch (error) {
       spinner.fail('Address validation failed');
-      console.error(chalk.red(error.message));
-      process.exit(1);
+      fail(error);
     }
   });
 
 validateCmd
   .command('vat <vat-number>')
   .description('Validate a VAT identification number')
-  .option('--json', 'Output raw JSON')
+  .option('--json', 'Output raw JSON (same as --format json)')
   .action(async (vatNumber, options) => {
-    const spinner = ora(`Validating VAT: ${vatNumber}...`).start();
+    const spinner = startSpinner(`Validating VAT: ${vatNumber}...`);
     try {
       const result = await validateVat(vatNumber);
       spinner.succeed('VAT validation complete');
 
-      if (options.json) {
-        printJson(result);
+      if (!isTableView()) {
+        printOutput(result);
         return;
       }
 
@@ -689,16 +1829,509 @@ validateCmd
       if (result.country_code) console.log(`Country:     ${chalk.white(result.country_code)}`);
     } catch (error) {
       spinner.fail('VAT validation failed');
-      console.error(chalk.red(error.message));
+      fail(error);
+    }
+  });
+
+// ─── Report Commands ───────────────────────────────────────────────────────────
+
+const reportCmd = program.command('report').description('Reporting commands');
+
+reportCmd
+  .command('period')
+  .description('Summarize orders net of refunds by destination for a filing period')
+  .requiredOption('--from-date <date>', 'Start date (YYYY-MM-DD)', dateOption('--from-date'))
+  .requiredOption('--to-date <date>', 'End date (YYYY-MM-DD)', dateOption('--to-date'))
+  .option('--by <level>', `Group by ${GROUPINGS.join(', ')} (always within country)`, 'state')
+  .option('--concurrency <n>', 'Number of transactions to fetch in parallel', '5')
+  .option('--local', 'Read orders and refunds from the local archive (see `taxjar sync`)')
+  .option('--csv', 'Output CSV (same as --format csv)')
+  .option('--json', 'Output raw JSON (same as --format json)')
+  .action(async (options) => {
+    if (!GROUPINGS.includes(options.by)) {
+      failUsage(`Invalid --by "${options.by}". Expected one of: ${GROUPINGS.join(', ')}`);
+    }
+    const concurrency = parseInt(options.concurrency, 10);
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      failUsage(`Invalid --concurrency "${options.concurrency}": expected a positive integer`);
+    }
+
+    const spinner = startSpinner('Fetching orders...');
+    try {
+      const window = { fromDate: options.fromDate, toDate: options.toDate, concurrency };
+      const load = (type) => (options.local
+        ? queryArchive(type, window)
+        : fetchTransactions(type, {
+          ...window,
+          onProgress: (done, total) => { spinner.text = `Fetching ${type}... ${done}/${total}`; },
+        }));
+      const orders = await load('orders');
+      spinner.text = 'Fetching refunds...';
+      const refunds = await load('refunds');
+      spinner.text = 'Aggregating...';
+      const rows = await aggregatePeriod(orders, refunds, { by: options.by, concurrency });
+      const totals = periodTotals(rows);
+      spinner.succeed(`Aggregated ${orders.length} order(s) and ${refunds.length} refund(s)`);
+
+      if (!isTableView()) {
+        printOutput({ from_date: options.fromDate, to_date: options.toDate, group_by: options.by, rows, totals }, { records: rows });
+        return;
+      }
+
+      console.log('');
+      console.log(chalk.bold(`Period Report: ${options.fromDate} to ${options.toDate}`));
+      console.log(chalk.dim('──────────────────────────────────────'));
+      const placeColumns = [
+        { key: 'country', label: 'Country' },
+        { key: 'state', label: 'State' },
+      ];
+      if (options.by === 'county') placeColumns.push({ key: 'county', label: 'County' });
+      if (options.by === 'city') placeColumns.push({ key: 'city', label: 'City' });
+      printTable(rows, [
+        ...placeColumns,
+        { key: 'orders', label: 'Orders' },
+        { key: 'refunds', label: 'Refunds' },
+        { key: 'gross_sales', label: 'Gross Sales', format: formatMoney },
+        { key: 'refunded', label: 'Refunded', format: formatMoney },
+        { key: 'net_sales', label: 'Net Sales', format: formatMoney },
+        { key: 'shipping', label: 'Shipping', format: formatMoney },
+        { key: 'taxable_amount', label: 'Taxable', format: formatMoney },
+        { key: 'sales_tax', label: 'Sales Tax', format: formatMoney },
+      ]);
+
+      console.log('');
+      console.log(`Net Sales:          ${chalk.white(formatMoney(totals.net_sales))}`);
+      console.log(`Net Taxable:        ${chalk.white(formatMoney(totals.taxable_amount))}`);
+      console.log(`Net Tax Collected:  ${chalk.green.bold(formatMoney(totals.sales_tax))}`);
+    } catch (error) {
+      spinner.fail('Failed to build period report');
+      fail(error);
+    }
+  });
+
+// ─── Audit Commands ────────────────────────────────────────────────────────────
+
+const auditCmd = program.command('audit').description('Check recorded transactions against TaxJar calculations');
+
+auditCmd
+  .command('orders')
+  .description('Recalculate recorded orders and flag under- or over-collected sales tax')
+  .requiredOption('--from-date <date>', 'Start date (YYYY-MM-DD)', dateOption('--from-date'))
+  .requiredOption('--to-date <date>', 'End date (YYYY-MM-DD)', dateOption('--to-date'))
+  .option('--tolerance <amount>', 'Ignore differences up to this many dollars per order (and per state)', '0.01')
+  .option('--by-state', 'Output the per-state summary instead of per-order rows (csv, ndjson, --fields)')
+  .option('--all', 'List every order in the table view, not just discrepancies')
+  .option('--concurrency <n>', 'Number of orders to fetch and recalculate in parallel', '5')
+  .option('--csv', 'Output CSV (same as --format csv)')
+  .option('--json', 'Output raw JSON (same as --format json)')
+  .action(async (options) => {
+    let tolerance;
+    try {
+      tolerance = parseMoney(options.tolerance, { name: '--tolerance', sign: 'non-negative' });
+    } catch (error) {
+      failUsage(error);
+    }
+    const concurrency = parseInt(options.concurrency, 10);
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      failUsage(`Invalid --concurrency "${options.concurrency}": expected a positive integer`);
+    }
+
+    const spinner = startSpinner('Fetching orders...');
+    try {
+      const orders = await fetchTransactions('orders', {
+        fromDate: options.fromDate,
+        toDate: options.toDate,
+        concurrency,
+        onProgress: (done, total) => { spinner.text = `Fetching orders... ${done}/${total}`; },
+      });
+      const rows = await auditOrders(orders, {
+        tolerance,
+        concurrency,
+        onProgress: (done, total) => { spinner.text = `Recalculating orders... ${done}/${total}`; },
+      });
+      const states = auditByState(rows, { tolerance });
+      const flagged = rows.filter(row => row.status !== 'ok');
+      spinner.succeed(`Audited ${rows.length} order(s): ${flagged.length} need attention`);
+
+      if (!isTableView()) {
+        printOutput(
+          { from_date: options.fromDate, to_date: options.toDate, tolerance, orders: rows, states },
+          { records: options.byState ? states : rows },
+        );
+        return;
+      }
+
+      const statusLabel = { ok: chalk.green('ok'), under: chalk.red('UNDER'), over: chalk.yellow('OVER'), error: chalk.red('ERROR') };
+
+      console.log('');
+      console.log(chalk.bold(`Sales Tax Audit: ${options.fromDate} to ${options.toDate}`));
+      console.log(chalk.dim('──────────────────────────────────────'));
+      printTable(states.map(row => ({ ...row, status: statusLabel[row.status] })), [
+        { key: 'country', label: 'Country' },
+        { key: 'state', label: 'State' },
+        { key: 'orders', label: 'Orders' },
+        { key: 'under_collected', label: 'Under' },
+        { key: 'over_collected', label: 'Over' },
+        { key: 'errors', label: 'Errors' },
+        { key: 'recorded_tax', label: 'Recorded', format: formatMoney },
+        { key: 'expected_tax', label: 'Expected', format: formatMoney },
+        { key: 'difference', label: 'Difference', format: formatMoney },
+        { key: 'status', label: 'Status' },
+      ]);
+
+      const listed = options.all ? rows : flagged;
+      if (listed.length === 0) {
+        console.log('');
+        console.log(chalk.green(`All orders within ${formatMoney(tolerance)} of TaxJar's calculation.`));
+        return;
+      }
+
+      console.log('');
+      console.log(chalk.bold(options.all ? 'Orders' : 'Discrepancies'));
+      console.log(chalk.dim('─────────────'));
+      printTable(listed.map(row => ({ ...row, status: statusLabel[row.status] })), [
+        { key: 'transaction_id', label: 'Transaction ID' },
+        { key: 'transaction_date', label: 'Date' },
+        { key: 'to_state', label: 'State' },
+        { key: 'amount', label: 'Amount', format: formatMoney },
+        { key: 'recorded_tax', label: 'Recorded', format: formatMoney },
+        { key: 'expected_tax', label: 'Expected', format: formatMoney },
+        { key: 'difference', label: 'Difference', format: formatMoney },
+        { key: 'status', label: 'Status' },
+        { key: 'error', label: 'Error' },
+      ]);
+      console.log(chalk.dim('\nDifference is recorded minus expected: negative means tax was under-collected.'));
+    } catch (error) {
+      spinner.fail('Audit failed');
+      fail(error);
+    }
+  });
+
+// ─── Local Archive Commands ────────────────────────────────────────────────────
+
+program
+  .command('sync')
+  .description('Mirror orders and refunds into the local archive for offline lookups and reports')
+  .addOption(new Option('--type <type>', 'Transactions to sync').choices([...ARCHIVE_TYPES, 'all']).default('all'))
+  .option('--from-date <date>', 'Re-sync from this date (YYYY-MM-DD); default: a week before the last sync, or January 1 of last year', dateOption('--from-date'))
+  .option('--lookback <days>', 'Days before the last synced date to re-check for late or edited transactions', '7')
+  .option('--full', 'Discard the local archive and sync from scratch')
+  .option('--concurrency <n>', 'Number of transactions to fetch in parallel', '5')
+  .option('--json', 'Output raw JSON (same as --format json)')
+  .action(async (options) => {
+    const concurrency = parseInt(options.concurrency, 10);
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      failUsage(`Invalid --concurrency "${options.concurrency}": expected a positive integer`);
+    }
+    const lookback = parseInt(options.lookback, 10);
+    if (!Number.isInteger(lookback) || lookback < 0) {
+      failUsage(`Invalid --lookback "${options.lookback}": expected a non-negative integer`);
+    }
+
+    const types = options.type === 'all' ? ARCHIVE_TYPES : [options.type];
+    const spinner = startSpinner('Syncing...');
+    try {
+      const results = [];
+      for (const type of types) {
+        spinner.text = `Syncing ${type}...`;
+        results.push(await syncArchive(type, {
+          fromDate: options.fromDate,
+          full: options.full,
+          lookback,
+          concurrency,
+          onProgress: (done, total) => { spinner.text = `Syncing ${type}... ${done}/${total}`; },
+        }));
+      }
+      spinner.succeed(results.map(r => `${r.type}: ${r.added} added, ${r.updated} updated, ${r.removed} removed`).join('; '));
+
+      if (!isTableView()) {
+        printOutput(results);
+        return;
+      }
+
+      printTable(results, [
+        { key: 'type', label: 'Type' },
+        { key: 'from_date', label: 'From' },
+        { key: 'to_date', label: 'To' },
+        { key: 'added', label: 'Added' },
+        { key: 'updated', label: 'Updated' },
+        { key: 'removed', label: 'Removed' },
+        { key: 'records', label: 'Archived' },
+      ]);
+      console.log(chalk.dim(`\nArchive: ${archiveStatus().path}`));
+    } catch (error) {
+      spinner.fail('Sync failed');
+      fail(error);
+    }
+  });
+
+const localCmd = program.command('local').description('Query the local transaction archive (see `taxjar sync`)');
+
+addArchiveFilterOptions(
+  localCmd
+    .command('query')
+    .description('Search archived orders or refunds without calling TaxJar')
+    .addOption(new Option('--type <type>', 'Transactions to search').choices(ARCHIVE_TYPES).default('orders'))
+    .option('--from-date <date>', 'Start date (YYYY-MM-DD)', dateOption('--from-date'))
+    .option('--to-date <date>', 'End date (YYYY-MM-DD)', dateOption('--to-date')),
+)
+  .option('--limit <n>', 'Show at most this many results, oldest first')
+  .option('--csv', 'Output CSV (same as --format csv)')
+  .option('--json', 'Output raw JSON (same as --format json)')
+  .action((options) => {
+    let records;
+    try {
+      records = queryArchive(options.type, archiveFilters(options));
+    } catch (error) {
+      failUsage(error);
+    }
+    if (options.limit !== undefined) {
+      const limit = parseInt(options.limit, 10);
+      if (!Number.isInteger(limit) || limit < 1) failUsage(`Invalid --limit "${options.limit}": expected a positive integer`);
+      records = records.slice(0, limit);
+    }
+
+    if (!isTableView()) {
+      printOutput(records, { records: localRows(records) });
+      return;
+    }
+
+    printTable(localRows(records), LOCAL_COLUMNS);
+    if (records.length > 0) {
+      const total = field => records.reduce((sum, record) => sum + toCents(record[field]), 0);
+      console.log('');
+      console.log(`${records.length} record(s): amount ${chalk.white(formatMoney(fromCents(total('amount'))))}, sales tax ${chalk.green(formatMoney(fromCents(total('sales_tax'))))}`);
+    }
+  });
+
+localCmd
+  .command('status')
+  .description('Show what the local archive holds and when it was last synced')
+  .option('--json', 'Output raw JSON (same as --format json)')
+  .action(() => {
+    const status = archiveStatus();
+    const rows = ARCHIVE_TYPES.map(type => ({ type, ...status[type] }));
+
+    if (!isTableView()) {
+      printOutput(status, { records: rows });
+      return;
+    }
+
+    console.log(chalk.bold('Local Archive'));
+    console.log(chalk.dim('─────────────'));
+    console.log(`Profile:     ${chalk.cyan(status.profile)}`);
+    console.log(`Base URL:    ${chalk.cyan(status.base_url)}`);
+    console.log(`Directory:   ${chalk.dim(status.path)}`);
+    console.log('');
+    printTable(rows.map(row => ({ ...row, synced_through: row.synced_through || 'never' })), [
+      { key: 'type', label: 'Type' },
+      { key: 'records', label: 'Records' },
+      { key: 'synced_through', label: 'Synced Through' },
+      { key: 'synced_at', label: 'Last Sync' },
+    ]);
+  });
+
+// ─── Cache Commands ────────────────────────────────────────────────────────────
+
+const cacheCmd = program.command('cache').description('Manage the local cache of rates, summary rates and categories');
+
+cacheCmd
+  .command('stats')
+  .description('Show cache size and entry counts')
+  .option('--json', 'Output raw JSON (same as --format json)')
+  .action((options) => {
+    const stats = cacheStats();
+
+    if (!isTableView()) {
+      printOutput(stats, { records: stats.kinds });
+      return;
+    }
+
+    console.log(chalk.bold('Cache'));
+    console.log(chalk.dim('─────'));
+    console.log(`Directory:   ${chalk.dim(stats.directory)}`);
+    console.log(`Entries:     ${chalk.cyan(stats.entries)} (${stats.expired} expired)`);
+    console.log(`Size:        ${chalk.cyan((stats.bytes / 1024).toFixed(1) + ' KB')}`);
+    if (stats.kinds.length > 0) {
+      console.log('');
+      printTable(stats.kinds, [
+        { key: 'kind', label: 'Kind' },
+        { key: 'entries', label: 'Entries' },
+        { key: 'expired', label: 'Expired' },
+        { key: 'bytes', label: 'Bytes' },
+      ]);
+    }
+  });
+
+cacheCmd
+  .command('clear')
+  .description('Delete cached responses')
+  .option('--expired', 'Only delete expired entries')
+  .option('--json', 'Output raw JSON (same as --format json)')
+  .action((options) => {
+    const removed = clearCache({ expiredOnly: options.expired });
+    printResult({ removed }, `Removed ${removed} cache entr${removed === 1 ? 'y' : 'ies'}.`);
+  });
+
+// ─── Mock Server Commands ──────────────────────────────────────────────────────
+
+const mockCmd = program.command('mock').description('Local mock TaxJar API for offline development');
+
+mockCmd
+  .command('serve')
+  .description('Run a mock TaxJar API server')
+  .option('--port <port>', 'Port to listen on', '4242')
+  .option('--host <host>', 'Host to bind', '127.0.0.1')
+  .option('--fixtures <file>', 'JSON fixture file with rates, summary_rates, nexus_regions and categories')
+  .option('--store <file>', 'Persist transactions to this JSON file (default: in memory)')
+  .option('--api-key <key>', 'Only accept this API key (default: any non-empty key)')
+  .option('--max-rps <n>', 'Respond 429 above this many requests per second (default: unlimited)', '0')
+  .option('--quiet', 'Do not log requests')
+  .action((options) => {
+    let server;
+    try {
+      server = createMockServer({
+        fixturesFile: options.fixtures,
+        storeFile: options.store,
+        apiKey: options.apiKey,
+        rateLimit: parseInt(options.maxRps, 10) || 0,
+        onRequest: options.quiet
+          ? undefined
+          : ({ method, path, status }) => {
+            const color = status >= 400 ? chalk.red : chalk.green;
+            console.log(`${chalk.dim(new Date().toISOString())} ${method} ${path} ${color(status)}`);
+          },
+      });
+    } catch (error) {
+      console.error(chalk.red(`Failed to load mock data: ${error.message}`));
       process.exit(1);
     }
+
+    server.on('error', (error) => {
+      console.error(chalk.red(`Mock server error: ${error.message}`));
+      process.exit(1);
+    });
+
+    server.listen(parseInt(options.port, 10), options.host, () => {
+      const { port } = server.address();
+      const baseUrl = `http://${options.host}:${port}/v2`;
+      printSuccess(`Mock TaxJar API listening on ${chalk.cyan(baseUrl)}`);
+      console.log(chalk.dim(`Point the CLI at it with: export TAXJAR_BASE_URL=${baseUrl}`));
+    });
+  });
+
+// ─── Quote Service ─────────────────────────────────────────────────────────────
+
+program
+  .command('serve')
+  .description('Run a local REST service for tax quotes (POST /quote, GET /rates/:zip, POST /validate/address, GET /health)')
+  .option('--port <port>', 'Port to listen on', '4243')
+  .option('--host <host>', 'Host to bind', '127.0.0.1')
+  .option('--cache-ttl <seconds>', 'Reuse quotes for identical carts for this long (0 disables)', '300')
+  .option('--cors <origin>', 'Allow browser requests from this origin ("*" for any)')
+  .option('--no-auth', 'Accept requests without a client token (see `taxjar config token`)')
+  .option('--quiet', 'Do not log requests')
+  .action((options) => {
+    const cacheTtl = Number(options.cacheTtl);
+    if (!Number.isFinite(cacheTtl) || cacheTtl < 0) {
+      failUsage(`Invalid --cache-ttl "${options.cacheTtl}": expected a number of seconds`);
+    }
+    try {
+      getApiKey();
+    } catch (error) {
+      fail(error);
+    }
+    if (options.auth && listServeTokens().length === 0) {
+      failUsage('No client tokens yet. Issue one with `taxjar config token add <client>`, or pass --no-auth.');
+    }
+
+    const server = createQuoteServer({
+      authenticate: options.auth ? findServeClient : () => 'anonymous',
+      cacheTtl: cacheTtl * 1000,
+      cors: options.cors,
+      onRequest: options.quiet
+        ? undefined
+        : ({ method, path, status, client, duration, cache }) => {
+          const color = status >= 400 ? chalk.red : chalk.green;
+          const detail = [client, `${duration} ms`, cache && `cache ${cache.toLowerCase()}`].filter(Boolean).join(', ');
+          console.log(`${chalk.dim(new Date().toISOString())} ${method} ${path} ${color(status)} ${chalk.dim(`(${detail})`)}`);
+        },
+    });
+
+    server.on('error', (error) => {
+      console.error(chalk.red(`Quote service error: ${error.message}`));
+      process.exit(1);
+    });
+
+    server.listen(parseInt(options.port, 10), options.host, () => {
+      const { port } = server.address();
+      printSuccess(`Tax quote service listening on ${chalk.cyan(`http://${options.host}:${port}`)}`);
+      if (!options.auth) console.log(chalk.yellow('Client tokens are not required (--no-auth).'));
+    });
+  });
+
+// ─── MCP Server ────────────────────────────────────────────────────────────────
+
+program
+  .command('mcp')
+  .description('Run a Model Context Protocol server on stdio exposing TaxJar operations as tools')
+  .option('--read-only', 'Only expose tools that read data (no order/refund create, update or delete)')
+  .action(async (options) => {
+    // stdout carries the protocol; anything human-readable goes to stderr
+    console.error(chalk.dim(`TaxJar MCP server on stdio${options.readOnly ? ' (read-only)' : ''}`));
+    await serveMcp({ program, readOnly: options.readOnly });
   });
 
 // ─── Program Setup ─────────────────────────────────────────────────────────────
 
+function parseNonNegativeInt(flag) {
+  return (value) => {
+    const parsed = Number(value);
+    if (!Number.isInteger(parsed) || parsed < 0) {
+      throw new InvalidArgumentError(`${flag} must be a non-negative integer.`);
+    }
+    return parsed;
+  };
+}
+
 program
   .name('taxjar')
   .description('TaxJar CLI - Sales tax calculation and reporting')
-  .version('1.0.0');
+  .version('1.0.0')
+  .option('--max-retries <n>', 'Retries for rate-limited, failed or timed-out requests (default: 3)', parseNonNegativeInt('--max-retries'))
+  .option('--timeout <ms>', 'Request timeout in milliseconds (default: 30000)', parseNonNegativeInt('--timeout'))
+  .option('--rate-limit <n>', 'Maximum requests per second (default: unlimited)', parseNonNegativeInt('--rate-limit'))
+  .option('--profile <name>', 'Configuration profile to use (default: TAXJAR_PROFILE or the active profile)')
+  .option('--sandbox', 'Send requests to the TaxJar sandbox')
+  .option('--no-cache', 'Bypass the local cache for rates, summary rates and categories')
+  .option('--refresh', 'Ignore cached rates, summary rates and categories, then re-cache fresh results')
+  .addOption(new Option('--format <format>', 'Output format').choices(FORMATS).default('table'))
+  .option('--fields <paths>', 'Comma-separated fields to output, dotted paths allowed (e.g. region_code,average_rate.rate)')
+  .option('--no-color', 'Disable colored output')
+  .option('-v, --verbose', 'Log each request and response (with timing) to stderr; the API token is redacted')
+  .option('--dry-run', 'Print the request a command would send to create, update or delete data instead of sending it')
+  .option('--trace-file <file>', 'Write every request and response to a HAR file (API token redacted)')
+  .hook('preAction', (thisCommand, actionCommand) => {
+    const { maxRetries, timeout, rateLimit, profile, sandbox, cache, refresh, format, fields, color } = program.opts();
+    const { verbose, dryRun, traceFile } = program.opts();
+    // Per-command --json/--csv flags predate --format and still work as shorthands
+    const { json, csv } = actionCommand.opts();
+    setOutputOptions({ format: json ? 'json' : csv ? 'csv' : format, fields, color });
+    setRuntimeOptions({ profile, sandbox });
+    const tracer = createTracer({ verbose, traceFile, version: program.version() });
+    configureClient({
+      maxRetries,
+      timeout,
+      rateLimit,
+      onResponse: tracer.onResponse,
+      dryRun: Boolean(dryRun),
+      // The MCP server reports dry runs as tool errors instead of exiting
+      onRequest: (request) => {
+        tracer.onRequest(request);
+        if (request.dryRun && actionCommand.name() !== 'mcp') printDryRun(request);
+      },
+    });
+    setCacheMode(!cache ? 'off' : refresh ? 'refresh' : 'default');
+  });
 
 export { program };
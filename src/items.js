@@ -0,0 +1,89 @@
+import { readFileSync } from 'fs';
+import { extname } from 'path';
+import { parseCsv } from './csv.js';
+import { parseMoney } from './money.js';
+
+export const LINE_ITEM_FIELDS = ['id', 'quantity', 'unit_price', 'discount', 'product_tax_code', 'description', 'sales_tax'];
+export const NUMERIC_ITEM_FIELDS = ['unit_price', 'discount', 'sales_tax'];
+
+// Commander option parser for repeatable flags
+export function collect(value, previous) {
+  return previous.concat([value]);
+}
+
+function normalizeLineItem(raw, source) {
+  const item = {};
+  for (const [key, value] of Object.entries(raw)) {
+    const field = key.trim().replace(/-/g, '_');
+    if (!LINE_ITEM_FIELDS.includes(field)) {
+      throw new Error(`Unknown line item field "${key}" in ${source}. Allowed: ${LINE_ITEM_FIELDS.join(', ')}`);
+    }
+    if (value === '' || value === null || value === undefined) continue;
+
+    if (field === 'quantity') {
+      if (!/^\d+$/.test(String(value).trim()) || Number(value) < 1) {
+        throw new Error(`Invalid quantity "${value}" in ${source}: expected a positive whole number`);
+      }
+      item.quantity = Number(value);
+    } else if (NUMERIC_ITEM_FIELDS.includes(field)) {
+      item[field] = parseMoney(value, { name: `${field} in ${source}` });
+    } else {
+      item[field] = String(value).trim();
+    }
+  }
+  return item;
+}
+
+// Parse a `--line-item` spec such as "id=1,quantity=2,unit_price=19.99,product_tax_code=20010"
+export function parseLineItem(spec, index = 0) {
+  const raw = {};
+  spec.split(',').forEach(pair => {
+    const eq = pair.indexOf('=');
+    if (eq === -1) {
+      throw new Error(`Invalid --line-item "${spec}": expected key=value pairs separated by commas`);
+    }
+    raw[pair.slice(0, eq)] = pair.slice(eq + 1);
+  });
+
+  const item = normalizeLineItem(raw, `--line-item "${spec}"`);
+  if (!item.id) item.id = String(index + 1);
+  return item;
+}
+
+// Load line items from a JSON array (or `{ line_items: [...] }`) or a CSV file with a header row
+export function loadLineItems(file) {
+  const text = readFileSync(file, 'utf8');
+  let rows;
+
+  if (extname(file).toLowerCase() === '.csv') {
+    rows = parseCsv(text);
+  } else {
+    const parsed = JSON.parse(text);
+    rows = Array.isArray(parsed) ? parsed : parsed.line_items;
+    if (!Array.isArray(rows)) {
+      throw new Error(`${file} must contain a JSON array of line items or an object with "line_items"`);
+    }
+  }
+
+  return normalizeLineItems(rows, file);
+}
+
+// Validate line items given as objects (an items file, or the `line_items` of an import or batch row)
+export function normalizeLineItems(rows, source) {
+  return rows.map((row, i) => {
+    if (!row || typeof row !== 'object' || Array.isArray(row)) {
+      throw new Error(`Invalid line item in ${source} (item ${i + 1}): expected an object`);
+    }
+    const item = normalizeLineItem(row, `${source} (item ${i + 1})`);
+    if (!item.id) item.id = String(i + 1);
+    return item;
+  });
+}
+
+// Build the `line_items` array from `--items-file` and repeatable `--line-item` options
+export function buildLineItems(options) {
+  const items = [];
+  if (options.itemsFile) items.push(...loadLineItems(options.itemsFile));
+  (options.lineItem || []).forEach(spec => items.push(parseLineItem(spec, items.length)));
+  return items;
+}
@@ -0,0 +1,391 @@
+import { createInterface } from 'readline';
+import {
+  calculateTax,
+  getRates,
+  getSummaryRates,
+  getNexusRegions,
+  getCategories,
+  listOrders,
+  getOrder,
+  createOrder,
+  updateOrder,
+  deleteOrder,
+  listRefunds,
+  getRefund,
+  createRefund,
+  updateRefund,
+  deleteRefund,
+  listCustomers,
+  getCustomer,
+  createCustomer,
+  updateCustomer,
+  deleteCustomer,
+  validateAddress,
+  validateVat,
+} from './api.js';
+import { LINE_ITEM_FIELDS, NUMERIC_ITEM_FIELDS } from './items.js';
+import { rowToTransactionParams, missingFields, ORDER_REQUIRED_FIELDS, REFUND_REQUIRED_FIELDS } from './transactions.js';
+import { refundFromOrder, checkRefundLimits, fetchOrderRefunds } from './refunds.js';
+import { CUSTOMER_REQUIRED_FIELDS } from './customers.js';
+import { applyOrigin, nexusAddresses } from './origins.js';
+import { parseMoney } from './money.js';
+import { checkAddresses } from './validate.js';
+import { errorToJson } from './errors.js';
+import { ARCHIVE_FILTER_NAMES } from './archive.js';
+
+const PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+// Flags that only shape CLI output or read local files; tools take the data inline instead
+const CLI_ONLY_OPTIONS = ['json', 'csv', 'items-file', 'body-file', 'from-quote', 'offline', 'fallback', 'record', 'help'];
+const NUMERIC_OPTIONS = ['amount', 'shipping', 'sales-tax'];
+
+const LINE_ITEMS_SCHEMA = {
+  type: 'array',
+  description: 'Line items',
+  items: {
+    type: 'object',
+    properties: Object.fromEntries(LINE_ITEM_FIELDS.map(field => [field, {
+      type: field === 'quantity' ? 'integer' : NUMERIC_ITEM_FIELDS.includes(field) ? 'number' : 'string',
+    }])),
+    additionalProperties: false,
+  },
+};
+
+const EXEMPT_REGIONS_SCHEMA = {
+  type: 'array',
+  description: 'Regions the exemption applies in (all regions when empty)',
+  items: {
+    type: 'object',
+    properties: { country: { type: 'string' }, state: { type: 'string' } },
+    required: ['country', 'state'],
+    additionalProperties: false,
+  },
+};
+
+const REFUND_ITEMS_SCHEMA = {
+  type: 'array',
+  description: 'With from_order, refund only these line items (all of each line unless quantity is given)',
+  items: {
+    type: 'object',
+    properties: { id: { type: 'string' }, quantity: { type: 'integer', minimum: 1 } },
+    required: ['id'],
+    additionalProperties: false,
+  },
+};
+
+const NEXUS_SCHEMA = {
+  type: 'array',
+  description: 'Saved origin names to send as nexus addresses ("all" for every saved origin)',
+  items: { type: 'string' },
+};
+
+// Repeatable flags whose values are structured objects in tool arguments
+const ARRAY_SCHEMAS = {
+  'line-item': LINE_ITEMS_SCHEMA,
+  'exempt-region': EXEMPT_REGIONS_SCHEMA,
+  'item': REFUND_ITEMS_SCHEMA,
+  'nexus': NEXUS_SCHEMA,
+};
+
+function snakeCase(name) {
+  return name.replace(/-/g, '_');
+}
+
+// Where the API field name differs from the flag
+const RENAMED = {
+  'line-item': 'line_items',
+  'exempt-region': 'exempt_regions',
+  'item': 'items',
+  'from-date': 'from_transaction_date',
+  'to-date': 'to_transaction_date',
+  'vat-number': 'vat',
+};
+
+function propertyName(name) {
+  return RENAMED[name] || snakeCase(name);
+}
+
+/**
+ * Build a tool's JSON schema from a CLI command: positional arguments and
+ * value options become properties named after the API fields they set.
+ */
+function commandSchema(command, required = [], cliOnly = []) {
+  const properties = {};
+
+  command.registeredArguments.forEach(argument => {
+    const name = propertyName(argument.name());
+    properties[name] = { type: 'string', description: argument.description || argument.name().replace(/-/g, ' ') };
+    if (argument.required) required.push(name);
+  });
+
+  command.options.forEach(option => {
+    const flag = option.long.replace(/^--/, '');
+    if (CLI_ONLY_OPTIONS.includes(flag) || cliOnly.includes(flag)) return;
+    const name = propertyName(flag);
+
+    if (ARRAY_SCHEMAS[flag]) {
+      properties[name] = ARRAY_SCHEMAS[flag];
+      return;
+    }
+
+    const numeric = NUMERIC_OPTIONS.includes(flag);
+    const property = {
+      type: option.isBoolean() ? 'boolean' : numeric ? 'number' : 'string',
+      description: option.description,
+    };
+    if (option.argChoices) property.enum = option.argChoices;
+    if (option.defaultValue !== undefined) property.default = numeric ? parseFloat(option.defaultValue) : option.defaultValue;
+    properties[name] = property;
+    if (option.mandatory) required.push(name);
+  });
+
+  return { type: 'object', properties, required: [...new Set(required)], additionalProperties: false };
+}
+
+// Transaction body from tool arguments; `from` names a saved origin
+function transactionParams({ from, ...args }, kind = 'order') {
+  const params = rowToTransactionParams(args, kind);
+  return from ? applyOrigin(params, from) : params;
+}
+
+function findCommand(program, path) {
+  return path.reduce((command, name) => {
+    const next = command.commands.find(sub => sub.name() === name);
+    if (!next) throw new Error(`Unknown command: ${path.join(' ')}`);
+    return next;
+  }, program);
+}
+
+/**
+ * Tools and the CLI command each one mirrors. `readOnly` tools never change
+ * TaxJar data; `destructive` ones remove it. `required` adds fields the CLI
+ * can't demand as flags because they may come from --body-file; `cliOnly` hides
+ * flags that make no sense for that tool.
+ */
+const TOOLS = [
+  {
+    name: 'calculate_tax',
+    command: ['tax', 'calculate'],
+    readOnly: true,
+    // Only meaningful with --record, which would make this tool a write
+    cliOnly: ['transaction-date'],
+    handler: ({ from, nexus = [], ...args }) => {
+      if (args.amount === undefined && !args.line_items?.length) {
+        throw new Error('Provide amount, or line_items.');
+      }
+      const params = applyOrigin({ shipping: 0, ...args }, from);
+      ['amount', 'shipping'].filter(field => params[field] !== undefined).forEach(field => {
+        params[field] = parseMoney(params[field], { name: field, sign: 'non-negative' });
+      });
+      checkAddresses(params);
+      if (nexus.length > 0) params.nexus_addresses = nexusAddresses(nexus);
+      return calculateTax(params);
+    },
+  },
+  {
+    name: 'get_rates',
+    command: ['rates', 'get'],
+    readOnly: true,
+    handler: ({ zip, ...params }) => getRates(zip, { country: 'US', ...params }),
+  },
+  { name: 'get_summary_rates', command: ['rates', 'summary'], readOnly: true, handler: () => getSummaryRates() },
+  { name: 'list_nexus_regions', command: ['nexus', 'list'], readOnly: true, handler: () => getNexusRegions() },
+  { name: 'list_categories', command: ['categories', 'list'], readOnly: true, handler: () => getCategories() },
+  {
+    name: 'list_orders',
+    command: ['orders', 'list'],
+    readOnly: true,
+    // The local archive is per machine; tools always ask TaxJar
+    cliOnly: ['local', ...ARCHIVE_FILTER_NAMES],
+    handler: (args) => listOrders(args),
+  },
+  { name: 'get_order', command: ['orders', 'get'], readOnly: true, cliOnly: ['local'], handler: ({ transaction_id }) => getOrder(transaction_id) },
+  {
+    name: 'create_order',
+    command: ['orders', 'create'],
+    required: ORDER_REQUIRED_FIELDS,
+    // Like `orders create`, falls back to the default origin
+    handler: ({ from, ...args }) => createOrder(applyOrigin(rowToTransactionParams(args), from)),
+  },
+  {
+    name: 'update_order',
+    command: ['orders', 'update'],
+    idempotent: true,
+    handler: (args) => updateOrder(args.transaction_id, transactionParams(args)),
+  },
+  {
+    name: 'delete_order',
+    command: ['orders', 'delete'],
+    destructive: true,
+    idempotent: true,
+    handler: ({ transaction_id }) => deleteOrder(transaction_id),
+  },
+  { name: 'list_refunds', command: ['refunds', 'list'], readOnly: true, handler: (args) => listRefunds(args) },
+  { name: 'get_refund', command: ['refunds', 'get'], readOnly: true, handler: ({ transaction_id }) => getRefund(transaction_id) },
+  {
+    name: 'create_refund',
+    command: ['refunds', 'create'],
+    handler: async ({ from_order, items = [], ...args }) => {
+      let params = transactionParams(args, 'refund');
+      if (from_order) {
+        const order = await getOrder(from_order);
+        const previous = await fetchOrderRefunds(order);
+        const refundItems = items.map(item => ({ id: String(item.id), quantity: item.quantity }));
+        params = { ...refundFromOrder(order, { items: refundItems, previous }), ...params };
+        checkRefundLimits(params, order, previous);
+      }
+      const missing = missingFields(params, REFUND_REQUIRED_FIELDS);
+      if (missing.length > 0) throw new Error(`Missing required argument(s): ${missing.join(', ')}`);
+      return createRefund(params);
+    },
+  },
+  {
+    name: 'update_refund',
+    command: ['refunds', 'update'],
+    idempotent: true,
+    handler: (args) => updateRefund(args.transaction_id, transactionParams(args, 'refund')),
+  },
+  {
+    name: 'delete_refund',
+    command: ['refunds', 'delete'],
+    destructive: true,
+    idempotent: true,
+    handler: ({ transaction_id }) => deleteRefund(transaction_id),
+  },
+  { name: 'list_customers', command: ['customers', 'list'], readOnly: true, handler: () => listCustomers() },
+  { name: 'get_customer', command: ['customers', 'get'], readOnly: true, handler: ({ customer_id }) => getCustomer(customer_id) },
+  {
+    name: 'create_customer',
+    command: ['customers', 'create'],
+    required: CUSTOMER_REQUIRED_FIELDS,
+    handler: (args) => createCustomer(args),
+  },
+  {
+    name: 'update_customer',
+    command: ['customers', 'update'],
+    idempotent: true,
+    handler: async (args) => updateCustomer(args.customer_id, { ...await getCustomer(args.customer_id), ...args }),
+  },
+  {
+    name: 'delete_customer',
+    command: ['customers', 'delete'],
+    destructive: true,
+    idempotent: true,
+    handler: ({ customer_id }) => deleteCustomer(customer_id),
+  },
+  { name: 'validate_address', command: ['validate', 'address'], readOnly: true, handler: (args) => validateAddress(args) },
+  { name: 'validate_vat', command: ['validate', 'vat'], readOnly: true, handler: ({ vat }) => validateVat(vat) },
+];
+
+// Tool definitions for tools/list; `readOnly` drops every tool that writes to TaxJar
+export function buildTools(program, { readOnly = false } = {}) {
+  return TOOLS
+    .filter(tool => !readOnly || tool.readOnly)
+    .map(tool => {
+      const command = findCommand(program, tool.command);
+      return {
+        ...tool,
+        definition: {
+          name: tool.name,
+          description: `${command.description()} (same as \`taxjar ${tool.command.join(' ')}\`)`
+            + (tool.destructive ? '. Destructive: permanently removes the record from TaxJar.' : ''),
+          inputSchema: commandSchema(command, [...(tool.required || [])], tool.cliOnly),
+          annotations: {
+            readOnlyHint: Boolean(tool.readOnly),
+            destructiveHint: Boolean(tool.destructive),
+            idempotentHint: Boolean(tool.readOnly || tool.idempotent),
+            openWorldHint: true,
+          },
+        },
+      };
+    });
+}
+
+function missingArguments(schema, args) {
+  return schema.required.filter(name => args[name] === undefined || args[name] === '');
+}
+
+async function callTool(tool, args = {}) {
+  const missing = missingArguments(tool.definition.inputSchema, args);
+  try {
+    if (missing.length > 0) throw new Error(`Missing required argument(s): ${missing.join(', ')}`);
+    const result = await tool.handler(args);
+    return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+  } catch (error) {
+    return {
+      content: [{ type: 'text', text: JSON.stringify({ error: errorToJson(error) }, null, 2) }],
+      isError: true,
+    };
+  }
+}
+
+class RpcError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+/**
+ * Serve the Model Context Protocol over newline-delimited JSON-RPC on the
+ * given streams (stdin/stdout by default). Resolves when input closes.
+ */
+export function serveMcp({ program, readOnly = false, input = process.stdin, output = process.stdout } = {}) {
+  const tools = buildTools(program, { readOnly });
+  const byName = new Map(tools.map(tool => [tool.name, tool]));
+
+  const send = message => output.write(JSON.stringify({ jsonrpc: '2.0', ...message }) + '\n');
+
+  async function dispatch(method, params = {}) {
+    switch (method) {
+      case 'initialize':
+        return {
+          protocolVersion: PROTOCOL_VERSIONS.includes(params.protocolVersion) ? params.protocolVersion : PROTOCOL_VERSIONS[0],
+          capabilities: { tools: { listChanged: false } },
+          serverInfo: { name: 'taxjar', version: program.version() },
+          instructions: readOnly ? 'Read-only mode: tools that create, update or delete transactions are disabled.' : undefined,
+        };
+      case 'ping':
+        return {};
+      case 'tools/list':
+        return { tools: tools.map(tool => tool.definition) };
+      case 'tools/call': {
+        const tool = byName.get(params.name);
+        if (!tool) throw new RpcError(-32602, `Unknown tool: ${params.name}`);
+        return callTool(tool, params.arguments);
+      }
+      default:
+        throw new RpcError(-32601, `Method not found: ${method}`);
+    }
+  }
+
+  async function handle(line) {
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch {
+      send({ id: null, error: { code: -32700, message: 'Parse error' } });
+      return;
+    }
+
+    // Notifications (no id) need no reply
+    if (message.id === undefined) return;
+
+    try {
+      send({ id: message.id, result: await dispatch(message.method, message.params) });
+    } catch (error) {
+      send({ id: message.id, error: { code: error instanceof RpcError ? error.code : -32603, message: error.message } });
+    }
+  }
+
+  return new Promise((resolve) => {
+    const pending = new Set();
+    const lines = createInterface({ input, crlfDelay: Infinity });
+    lines.on('line', (line) => {
+      if (!line.trim()) return;
+      const task = handle(line).finally(() => pending.delete(task));
+      pending.add(task);
+    });
+    lines.on('close', () => Promise.all(pending).then(resolve));
+  });
+}
@@ -0,0 +1,475 @@
+import http from 'http';
+import { randomUUID } from 'crypto';
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+
+const DEFAULT_FIXTURES = new URL('./mock-fixtures.json', import.meta.url);
+
+// Error bodies mirror the shape TaxJar returns: { error, detail, status }
+const ERRORS = {
+  400: 'Bad Request',
+  401: 'Unauthorized',
+  404: 'Not Found',
+  405: 'Method Not Allowed',
+  422: 'Unprocessable Entity',
+  429: 'Too Many Requests',
+};
+
+class MockError extends Error {
+  constructor(status, detail) {
+    super(detail);
+    this.status = status;
+  }
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function loadFixtures(file) {
+  return JSON.parse(readFileSync(file || DEFAULT_FIXTURES, 'utf8'));
+}
+
+function createStore(file) {
+  const data = file && existsSync(file)
+    ? JSON.parse(readFileSync(file, 'utf8'))
+    : { orders: {}, refunds: {}, customers: {} };
+  data.orders = data.orders || {};
+  data.refunds = data.refunds || {};
+  data.customers = data.customers || {};
+
+  return {
+    data,
+    save() {
+      if (file) writeFileSync(file, JSON.stringify(data, null, 2));
+    },
+  };
+}
+
+function requireParams(params, fields) {
+  fields.forEach(field => {
+    if (params[field] === undefined || params[field] === null || params[field] === '') {
+      throw new MockError(400, `${field} is missing`);
+    }
+  });
+}
+
+// ─── Tax Calculation ───────────────────────────────────────────────────────────
+
+function lookupRate(fixtures, zip, state) {
+  if (zip && fixtures.rates[zip]) return fixtures.rates[zip];
+
+  // Unknown ZIP: fall back to the state's average rate, all attributed to the state
+  const summary = fixtures.summary_rates.find(r => r.country_code === 'US' && r.region_code === state);
+  if (!summary) return null;
+  return {
+    zip,
+    country: 'US',
+    state,
+    county: null,
+    city: null,
+    state_rate: summary.average_rate.rate,
+    county_rate: 0,
+    city_rate: 0,
+    combined_district_rate: 0,
+    combined_rate: summary.average_rate.rate,
+    freight_taxable: false,
+  };
+}
+
+function hasNexus(fixtures, params) {
+  if (Array.isArray(params.nexus_addresses) && params.nexus_addresses.length > 0) {
+    return params.nexus_addresses.some(a => a.country === params.to_country && (params.to_country !== 'US' || a.state === params.to_state));
+  }
+  return fixtures.nexus_regions.some(r => r.country_code === params.to_country && (params.to_country !== 'US' || r.region_code === params.to_state));
+}
+
+function componentBreakdown(rate, taxable) {
+  return {
+    state_taxable_amount: taxable,
+    state_tax_rate: rate.state_rate,
+    state_tax_collectable: round2(taxable * rate.state_rate),
+    county_taxable_amount: taxable,
+    county_tax_rate: rate.county_rate,
+    county_tax_collectable: round2(taxable * rate.county_rate),
+    city_taxable_amount: taxable,
+    city_tax_rate: rate.city_rate,
+    city_tax_collectable: round2(taxable * rate.city_rate),
+    special_district_taxable_amount: taxable,
+    special_tax_rate: rate.combined_district_rate,
+    special_district_tax_collectable: round2(taxable * rate.combined_district_rate),
+  };
+}
+
+// Exemption for a sale: explicit exemption_type first, else the customer's if it covers the destination
+function effectiveExemption(params, customers) {
+  if (params.exemption_type) return params.exemption_type;
+  const customer = params.customer_id && customers[params.customer_id];
+  if (!customer || customer.exemption_type === 'non_exempt') return undefined;
+  const regions = customer.exempt_regions || [];
+  const covered = regions.length === 0
+    || regions.some(r => r.country === params.to_country && (!r.state || r.state === params.to_state));
+  return covered ? customer.exemption_type : undefined;
+}
+
+export function calculateMockTax(fixtures, params, customers = {}) {
+  requireParams(params, ['to_country', 'shipping']);
+  if (params.to_country === 'US') requireParams(params, ['to_zip', 'to_state']);
+  if (params.amount === undefined && !Array.isArray(params.line_items)) {
+    throw new MockError(400, 'amount is missing');
+  }
+
+  const lineItems = (params.line_items || []).map((item, i) => ({
+    id: String(item.id ?? i + 1),
+    product_tax_code: item.product_tax_code,
+    total: Math.max(0, (item.quantity ?? 1) * (item.unit_price ?? 0) - (item.discount ?? 0)),
+  }));
+  const amount = params.amount ?? round2(lineItems.reduce((sum, item) => sum + item.total, 0));
+  const shipping = Number(params.shipping);
+
+  const rate = params.to_country === 'US' ? lookupRate(fixtures, params.to_zip, params.to_state) : null;
+  const exemptionType = effectiveExemption(params, customers);
+  const exempt = exemptionType && exemptionType !== 'non_exempt';
+  const nexus = hasNexus(fixtures, params);
+
+  const tax = {
+    order_total_amount: round2(amount + shipping),
+    shipping,
+    taxable_amount: 0,
+    amount_to_collect: 0,
+    rate: 0,
+    has_nexus: nexus,
+    freight_taxable: Boolean(rate?.freight_taxable),
+    tax_source: 'destination',
+    exemption_type: exemptionType,
+    jurisdictions: {
+      country: params.to_country,
+      state: rate?.state ?? params.to_state,
+      county: rate?.county ?? undefined,
+      city: rate?.city ?? params.to_city,
+    },
+  };
+
+  if (!nexus || !rate || exempt) return tax;
+
+  const exemptCodes = fixtures.exempt_product_tax_codes?.[rate.state] || [];
+  const taxableItems = lineItems.length > 0
+    ? lineItems.map(item => ({ ...item, taxable: exemptCodes.includes(item.product_tax_code) ? 0 : item.total }))
+    : [];
+  const itemsTaxable = lineItems.length > 0
+    ? taxableItems.reduce((sum, item) => sum + item.taxable, 0)
+    : amount;
+  const shippingTaxable = rate.freight_taxable ? shipping : 0;
+  const taxable = round2(itemsTaxable + shippingTaxable);
+  const collectable = round2(taxable * rate.combined_rate);
+
+  tax.taxable_amount = taxable;
+  tax.amount_to_collect = collectable;
+  tax.rate = rate.combined_rate;
+  tax.breakdown = {
+    taxable_amount: taxable,
+    tax_collectable: collectable,
+    combined_tax_rate: rate.combined_rate,
+    ...componentBreakdown(rate, taxable),
+  };
+
+  if (shippingTaxable > 0) {
+    tax.breakdown.shipping = {
+      taxable_amount: shippingTaxable,
+      tax_collectable: round2(shippingTaxable * rate.combined_rate),
+      combined_tax_rate: rate.combined_rate,
+    };
+  }
+
+  if (taxableItems.length > 0) {
+    tax.breakdown.line_items = taxableItems.map(item => ({
+      id: item.id,
+      taxable_amount: item.taxable,
+      tax_collectable: round2(item.taxable * rate.combined_rate),
+      combined_tax_rate: item.taxable > 0 ? rate.combined_rate : 0,
+      state_taxable_amount: item.taxable,
+      state_sales_tax_rate: rate.state_rate,
+      state_amount: round2(item.taxable * rate.state_rate),
+      county_taxable_amount: item.taxable,
+      county_tax_rate: rate.county_rate,
+      county_amount: round2(item.taxable * rate.county_rate),
+      city_taxable_amount: item.taxable,
+      city_tax_rate: rate.city_rate,
+      city_amount: round2(item.taxable * rate.city_rate),
+      special_district_taxable_amount: item.taxable,
+      special_tax_rate: rate.combined_district_rate,
+      special_district_amount: round2(item.taxable * rate.combined_district_rate),
+    }));
+  }
+
+  return tax;
+}
+
+// ─── Transactions ──────────────────────────────────────────────────────────────
+
+const TRANSACTION_REQUIRED = ['transaction_id', 'transaction_date', 'to_country', 'to_zip', 'to_state', 'amount', 'shipping', 'sales_tax'];
+
+function normalizeTransaction(params, type) {
+  const dateOnly = String(params.transaction_date).slice(0, 10);
+  if (Number.isNaN(Date.parse(dateOnly))) {
+    throw new MockError(422, `transaction_date "${params.transaction_date}" is not a valid date`);
+  }
+  return {
+    user_id: 1,
+    provider: params.provider || 'api',
+    exemption_type: params.exemption_type ?? null,
+    customer_id: params.customer_id ?? null,
+    from_country: params.from_country ?? null,
+    from_zip: params.from_zip ?? null,
+    from_state: params.from_state ?? null,
+    from_city: params.from_city ?? null,
+    from_street: params.from_street ?? null,
+    to_country: params.to_country ?? null,
+    to_zip: params.to_zip ?? null,
+    to_state: params.to_state ?? null,
+    to_city: params.to_city ?? null,
+    to_street: params.to_street ?? null,
+    line_items: params.line_items || [],
+    ...(type === 'refunds' ? { transaction_reference_id: params.transaction_reference_id } : {}),
+    transaction_id: String(params.transaction_id),
+    transaction_date: `${dateOnly}T00:00:00.000Z`,
+    amount: String(params.amount),
+    shipping: String(params.shipping),
+    sales_tax: String(params.sales_tax),
+  };
+}
+
+function handleTransactions(store, type, method, id, params, query) {
+  const singular = type === 'orders' ? 'order' : 'refund';
+  const records = store.data[type];
+
+  if (!id) {
+    if (method === 'GET') {
+      const from = query.get('from_transaction_date');
+      const to = query.get('to_transaction_date');
+      const ids = Object.values(records)
+        .filter(r => (!from || r.transaction_date.slice(0, 10) >= from) && (!to || r.transaction_date.slice(0, 10) <= to))
+        .map(r => r.transaction_id);
+      return { [type]: ids };
+    }
+    if (method === 'POST') {
+      requireParams(params, type === 'refunds' ? [...TRANSACTION_REQUIRED, 'transaction_reference_id'] : TRANSACTION_REQUIRED);
+      if (records[params.transaction_id]) {
+        throw new MockError(422, 'Provider tranx already imported for your user account');
+      }
+      const record = normalizeTransaction(params, type);
+      records[record.transaction_id] = record;
+      store.save();
+      return { [singular]: record };
+    }
+    throw new MockError(405, `${method} is not supported on /transactions/${type}`);
+  }
+
+  const existing = records[id];
+  if (!existing) throw new MockError(404, 'Resource can not be found');
+
+  if (method === 'GET') return { [singular]: existing };
+  if (method === 'PUT') {
+    const record = normalizeTransaction({ ...existing, ...params, transaction_id: id }, type);
+    records[id] = record;
+    store.save();
+    return { [singular]: record };
+  }
+  if (method === 'DELETE') {
+    delete records[id];
+    store.save();
+    const cleared = Object.fromEntries(Object.keys(existing).map(key => [key, null]));
+    return { [singular]: { ...cleared, transaction_id: id, user_id: existing.user_id, provider: existing.provider } };
+  }
+  throw new MockError(405, `${method} is not supported on /transactions/${type}/:id`);
+}
+
+// ─── Customers ─────────────────────────────────────────────────────────────────
+
+const CUSTOMER_EXEMPTION_TYPES = ['wholesale', 'government', 'other', 'non_exempt'];
+
+function normalizeCustomer(params) {
+  requireParams(params, ['customer_id', 'exemption_type', 'name']);
+  if (!CUSTOMER_EXEMPTION_TYPES.includes(params.exemption_type)) {
+    throw new MockError(400, `exemption_type must be one of ${CUSTOMER_EXEMPTION_TYPES.join(', ')}`);
+  }
+  return {
+    customer_id: String(params.customer_id),
+    exemption_type: params.exemption_type,
+    exempt_regions: (params.exempt_regions || []).map(r => ({ country: r.country, state: r.state })),
+    name: params.name,
+    country: params.country ?? null,
+    state: params.state ?? null,
+    zip: params.zip ?? null,
+    city: params.city ?? null,
+    street: params.street ?? null,
+  };
+}
+
+function handleCustomers(store, method, id, params) {
+  const records = store.data.customers;
+
+  if (!id) {
+    if (method === 'GET') return { customers: Object.keys(records) };
+    if (method === 'POST') {
+      if (params.customer_id && records[params.customer_id]) {
+        throw new MockError(422, `Customer ${params.customer_id} already exists`);
+      }
+      const record = normalizeCustomer(params);
+      records[record.customer_id] = record;
+      store.save();
+      return { customer: record };
+    }
+    throw new MockError(405, `${method} is not supported on /customers`);
+  }
+
+  const existing = records[id];
+  if (!existing) throw new MockError(404, 'Resource can not be found');
+
+  if (method === 'GET') return { customer: existing };
+  if (method === 'PUT') {
+    const record = normalizeCustomer({ ...existing, ...params, customer_id: id });
+    records[id] = record;
+    store.save();
+    return { customer: record };
+  }
+  if (method === 'DELETE') {
+    delete records[id];
+    store.save();
+    return { customer: existing };
+  }
+  throw new MockError(405, `${method} is not supported on /customers/:id`);
+}
+
+// ─── Routing ───────────────────────────────────────────────────────────────────
+
+function route(fixtures, store, method, path, params, query) {
+  let match;
+
+  if (path === '/taxes' && method === 'POST') {
+    return { tax: calculateMockTax(fixtures, params, store.data.customers) };
+  }
+  if ((match = path.match(/^\/rates\/([^/]+)$/)) && method === 'GET') {
+    const zip = decodeURIComponent(match[1]);
+    const rate = fixtures.rates[zip];
+    if (!rate) throw new MockError(404, 'Resource can not be found');
+    return { rate };
+  }
+  if (path === '/nexus/regions' && method === 'GET') return { regions: fixtures.nexus_regions };
+  if (path === '/categories' && method === 'GET') return { categories: fixtures.categories };
+  if (path === '/summary_rates' && method === 'GET') return { summary_rates: fixtures.summary_rates };
+  if ((match = path.match(/^\/transactions\/(orders|refunds)(?:\/([^/]+))?$/))) {
+    return handleTransactions(store, match[1], method, match[2] && decodeURIComponent(match[2]), params, query);
+  }
+  if ((match = path.match(/^\/customers(?:\/([^/]+))?$/))) {
+    return handleCustomers(store, method, match[1] && decodeURIComponent(match[1]), params);
+  }
+  if (path === '/addresses/validate' && method === 'POST') {
+    requireParams(params, ['country']);
+    const rate = params.zip && fixtures.rates[String(params.zip).slice(0, 5)];
+    if (!rate) throw new MockError(404, 'Resource can not be found');
+    return {
+      addresses: [{
+        zip: rate.zip,
+        street: params.street ? String(params.street).toUpperCase() : undefined,
+        state: rate.state,
+        country: rate.country,
+        city: rate.city,
+      }],
+    };
+  }
+  if (path === '/validation' && method === 'GET') {
+    const vat = (query.get('vat') || '').replace(/\s+/g, '').toUpperCase();
+    if (!vat) throw new MockError(400, 'vat is missing');
+    const valid = /^[A-Z]{2}[0-9A-Z]{8,12}$/.test(vat);
+    return {
+      validation: {
+        valid,
+        exists: valid,
+        vies_available: true,
+        vies_response: {
+          country_code: vat.slice(0, 2),
+          vat_number: vat.slice(2),
+          request_date: new Date().toISOString().slice(0, 10),
+          valid,
+          name: valid ? 'MOCK TRADING LTD' : '---',
+          address: valid ? '1 MOCK STREET' : '---',
+        },
+      },
+    };
+  }
+
+  throw new MockError(404, 'Resource can not be found');
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Create an HTTP server that mimics the TaxJar v2 API. Responses come from a
+ * fixture file (rates, summary rates, nexus regions, categories) and an
+ * in-memory transaction store, persisted to `storeFile` when given.
+ */
+export function createMockServer({ fixturesFile, storeFile, apiKey, rateLimit = 0, onRequest } = {}) {
+  const fixtures = loadFixtures(fixturesFile);
+  const store = createStore(storeFile);
+  let windowStart = 0;
+  let windowCount = 0;
+
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const path = url.pathname.replace(/^\/v2(?=\/)/, '').replace(/\/+$/, '') || '/';
+    let status = 200;
+    let body;
+    res.setHeader('X-Request-Id', randomUUID());
+
+    try {
+      const auth = req.headers.authorization || '';
+      const token = auth.replace(/^Bearer\s+/i, '').replace(/^Token token="?([^"]*)"?$/i, '$1');
+      if (!token || (apiKey && token !== apiKey)) {
+        throw new MockError(401, `Not authorized for route '${req.method} /v2${path}'`);
+      }
+
+      if (rateLimit > 0) {
+        const now = Date.now();
+        if (now - windowStart >= 1000) {
+          windowStart = now;
+          windowCount = 0;
+        }
+        if (++windowCount > rateLimit) {
+          res.setHeader('Retry-After', '1');
+          throw new MockError(429, 'You have exceeded the API rate limit. Please wait before retrying.');
+        }
+      }
+
+      const raw = await readBody(req);
+      let params = {};
+      if (raw) {
+        try {
+          params = JSON.parse(raw);
+        } catch {
+          throw new MockError(400, 'Request body is not valid JSON');
+        }
+      }
+
+      body = route(fixtures, store, req.method, path, params, url.searchParams);
+    } catch (error) {
+      status = error instanceof MockError ? error.status : 500;
+      body = {
+        error: ERRORS[status] || 'Internal Server Error',
+        detail: error.message,
+        status,
+      };
+    }
+
+    res.statusCode = status;
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.end(JSON.stringify(body));
+    if (onRequest) onRequest({ method: req.method, path: url.pathname, status });
+  });
+}
@@ -0,0 +1,69 @@
+// Money as integer cents: parse user input without float drift, sum amounts
+// from the API exactly, and format currency the same way in every table.
+
+const DECIMAL = /^([+-])?(\d*)(?:\.(\d*))?$/;
+
+// Cents for a decimal string or number, rounded half away from zero; null when it isn't one
+function parseCents(value) {
+  let text = value;
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) return null;
+    // String() gives the shortest round-trip form ("1.005"), so no binary noise leaks in
+    text = /e/i.test(String(value)) ? value.toFixed(10) : String(value);
+  }
+  if (typeof text !== 'string') return null;
+  const match = text.trim().match(DECIMAL);
+  if (!match || (!match[2] && !match[3])) return null;
+
+  const [, sign, whole, fraction = ''] = match;
+  const digits = (fraction + '000').slice(0, 3);
+  let cents = Number(whole || 0) * 100 + Number(digits.slice(0, 2));
+  if (Number(digits[2]) >= 5) cents += 1;
+  return sign === '-' && cents !== 0 ? -cents : cents;
+}
+
+// Lenient conversion for amounts that came back from TaxJar: missing or non-numeric counts as 0
+export function toCents(value) {
+  return parseCents(value) ?? 0;
+}
+
+// Dollars as a number, for request bodies
+export function fromCents(cents) {
+  return cents / 100;
+}
+
+// Dollars as a fixed two-decimal string ("12.50"), for CSV and JSON report rows
+export function centsToDecimal(cents) {
+  const sign = cents < 0 ? '-' : '';
+  const absolute = Math.abs(cents);
+  return `${sign}${Math.floor(absolute / 100)}.${String(absolute % 100).padStart(2, '0')}`;
+}
+
+// "$1,234.50" / "-$12.00" for human-readable output
+export function formatMoney(value) {
+  const cents = toCents(value);
+  const [whole, fraction] = centsToDecimal(Math.abs(cents)).split('.');
+  return `${cents < 0 ? '-' : ''}$${whole.replace(/\B(?=(\d{3})+(?!\d))/g, ',')}.${fraction}`;
+}
+
+/**
+ * Parse a money amount from a flag or input file. Rejects anything that isn't
+ * a plain decimal with at most two places, and amounts with the wrong sign:
+ * `sign` is "non-negative" (orders, quotes) or "non-positive" (refunds).
+ * Returns dollars as a number.
+ */
+export function parseMoney(value, { name = 'amount', sign } = {}) {
+  const text = typeof value === 'number' ? String(value) : String(value ?? '').trim();
+  const cents = parseCents(value);
+  if (cents === null || /e/i.test(text)) {
+    throw new Error(`Invalid ${name} "${value}": expected an amount such as 19.99`);
+  }
+  if ((text.split('.')[1] || '').length > 2) {
+    throw new Error(`Invalid ${name} "${value}": use at most two decimal places`);
+  }
+  if (sign === 'non-negative' && cents < 0) throw new Error(`${name} must not be negative (got ${value})`);
+  if (sign === 'non-positive' && cents > 0) {
+    throw new Error(`${name} must be zero or negative for refunds (got ${value}); use -${text.replace(/^\+/, '')}`);
+  }
+  return fromCents(cents);
+}
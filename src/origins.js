@@ -0,0 +1,39 @@
+// Expand saved origin addresses (`taxjar config origin`) into request fields
+import { getOrigin, getDefaultOriginName, listOrigins } from './config.js';
+
+const ORIGIN_FIELDS = ['country', 'zip', 'state', 'city', 'street'];
+
+function hasOrigin(params) {
+  return ['from_country', 'from_zip', 'from_state'].some(field => params[field] !== undefined && params[field] !== '');
+}
+
+/**
+ * Fill the from_* fields from the named origin; fields already set (by flags
+ * or a body file) win. With no name, the default origin is used, but only
+ * when the request has no origin fields at all.
+ */
+export function applyOrigin(params, name) {
+  if (!name) {
+    const defaultName = getDefaultOriginName();
+    if (!defaultName || hasOrigin(params)) return params;
+    name = defaultName;
+  }
+  const origin = getOrigin(name);
+  ORIGIN_FIELDS.forEach(field => {
+    if (origin[field] !== undefined && params[`from_${field}`] === undefined) params[`from_${field}`] = origin[field];
+  });
+  return params;
+}
+
+// `nexus_addresses` for a tax calculation from saved origins; "all" expands to every one
+export function nexusAddresses(names) {
+  const expanded = names.includes('all') ? listOrigins().map(origin => origin.name) : [...new Set(names)];
+  return expanded.map(name => {
+    const origin = getOrigin(name);
+    const address = { id: name };
+    ORIGIN_FIELDS.forEach(field => {
+      if (origin[field] !== undefined) address[field] = origin[field];
+    });
+    return address;
+  });
+}
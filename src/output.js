@@ -0,0 +1,173 @@
+import chalk from 'chalk';
+import ora from 'ora';
+import { toCsv } from './csv.js';
+import { errorToJson } from './errors.js';
+
+export const FORMATS = ['table', 'json', 'ndjson', 'csv', 'yaml'];
+
+// Set once per invocation from the global --format/--fields/--no-color flags
+const settings = {
+  format: 'table',
+  fields: null,
+};
+
+export function setOutputOptions({ format, fields, color } = {}) {
+  if (format) settings.format = format;
+  if (fields !== undefined) {
+    settings.fields = fields ? fields.split(',').map(f => f.trim()).filter(Boolean) : null;
+  }
+  if (color === false) chalk.level = 0;
+}
+
+// True when a command should print its own human-readable view
+export function isTableView() {
+  return settings.format === 'table' && !settings.fields;
+}
+
+// json/ndjson output is meant for scripts: errors go to stderr as JSON and spinners stay quiet
+function isJsonFormat() {
+  return settings.format === 'json' || settings.format === 'ndjson';
+}
+
+let activeSpinner = null;
+
+export function startSpinner(text) {
+  activeSpinner = ora({ text, isSilent: isJsonFormat() }).start();
+  return activeSpinner;
+}
+
+// Clear a spinner that is still running, e.g. before exiting mid-command
+export function stopSpinner() {
+  if (activeSpinner?.isSpinning) activeSpinner.stop();
+}
+
+/**
+ * Report a failed command on stderr: a `{ "error": {...} }` object in json
+ * and ndjson formats, a colored message otherwise. `type` overrides the
+ * error class (e.g. "usage" for bad flags).
+ */
+export function printError(error, type) {
+  if (isJsonFormat()) {
+    const body = { error: errorToJson(error, type) };
+    process.stderr.write((settings.format === 'json' ? JSON.stringify(body, null, 2) : JSON.stringify(body)) + '\n');
+    return;
+  }
+  console.error(chalk.red(error.message));
+  if (error.requestId) console.error(chalk.dim(`Request ID: ${error.requestId}`));
+}
+
+// Resolve a dotted path such as "minimum_rate.rate" or "line_items.0.id"
+export function getPath(object, path) {
+  if (object === null || object === undefined) return undefined;
+  if (Object.prototype.hasOwnProperty.call(Object(object), path)) return object[path];
+  return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), object);
+}
+
+function formatCell(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+// A column's `format` (e.g. formatMoney) applies to non-empty values only
+function cellText(row, col) {
+  const value = getPath(row, col.key);
+  return formatCell(col.format && value !== null && value !== undefined && value !== '' ? col.format(value) : value);
+}
+
+export function printTable(data, columns) {
+  if (!data || data.length === 0) {
+    console.log(chalk.yellow('No results found.'));
+    return;
+  }
+
+  const colWidths = {};
+  columns.forEach(col => {
+    colWidths[col.key] = col.label.length;
+    data.forEach(row => {
+      colWidths[col.key] = Math.max(colWidths[col.key], cellText(row, col).length);
+    });
+  });
+
+  const header = columns.map(col => col.label.padEnd(colWidths[col.key])).join('  ');
+  const separator = columns.map(col => '-'.repeat(colWidths[col.key])).join('  ');
+
+  console.log(chalk.bold.cyan(header));
+  console.log(chalk.dim(separator));
+  data.forEach(row => {
+    console.log(columns.map(col => cellText(row, col).padEnd(colWidths[col.key])).join('  '));
+  });
+}
+
+function selectFields(value, fields) {
+  return Object.fromEntries(fields.map(field => [field, getPath(value, field)]));
+}
+
+function yamlScalar(value) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  const str = String(value);
+  if (str === '' || /^[\s]|[\s]$|[:#\-?{}[\],&*!|>'"%@`]|^(true|false|null|yes|no|~)$/i.test(str) || !Number.isNaN(Number(str))) {
+    return JSON.stringify(str);
+  }
+  return str;
+}
+
+export function toYaml(value, indent = '') {
+  if (Array.isArray(value)) {
+    if (value.length === 0) return '[]';
+    return value.map(item => {
+      if (item !== null && typeof item === 'object' && Object.keys(item).length > 0) {
+        const nested = toYaml(item, indent + '  ');
+        return `${indent}- ${nested.slice(indent.length + 2)}`;
+      }
+      return `${indent}- ${toYaml(item, indent + '  ')}`;
+    }).join('\n');
+  }
+  if (value !== null && typeof value === 'object') {
+    const entries = Object.entries(value);
+    if (entries.length === 0) return '{}';
+    return entries.map(([key, val]) => {
+      const name = /^[\w.-]+$/.test(key) ? key : JSON.stringify(key);
+      if (val !== null && typeof val === 'object' && (Array.isArray(val) ? val.length : Object.keys(val).length) > 0) {
+        return `${indent}${name}:\n${toYaml(val, indent + '  ')}`;
+      }
+      return `${indent}${name}: ${toYaml(val, indent + '  ')}`;
+    }).join('\n');
+  }
+  return yamlScalar(value);
+}
+
+/**
+ * Print command data in the selected --format. `records` is the tabular view
+ * of `data` used for csv/ndjson and --fields (defaults to `data` itself, or
+ * `[data]` for a single object); json and yaml print `data` whole unless
+ * --fields narrows it.
+ */
+export function printOutput(data, { records } = {}) {
+  const { format, fields } = settings;
+  const tabular = records !== undefined || Array.isArray(data);
+  const rows = (records ?? (Array.isArray(data) ? data : [data]))
+    .map(row => (row !== null && typeof row === 'object' ? row : { value: row }));
+  const selected = fields ? rows.map(row => selectFields(row, fields)) : rows;
+
+  if (format === 'json' || format === 'yaml') {
+    let value = data;
+    if (fields) value = tabular ? selected : selected[0];
+    console.log(format === 'json' ? JSON.stringify(value, null, 2) : toYaml(value));
+    return;
+  }
+
+  if (format === 'ndjson') {
+    selected.forEach(row => console.log(JSON.stringify(row)));
+    return;
+  }
+
+  const columns = fields || [...new Set(rows.flatMap(row => Object.keys(row)))];
+  if (format === 'csv') {
+    process.stdout.write(toCsv(selected.map(row => Object.fromEntries(columns.map(col => [col, getPath(row, col)]))), columns));
+    return;
+  }
+
+  printTable(selected, columns.map(col => ({ key: col, label: col })));
+}
@@ -0,0 +1,20 @@
+// Run `worker` over `items` with at most `concurrency` calls in flight.
+// Results keep the input order; `onSettled` fires after each item completes.
+export async function mapWithConcurrency(items, concurrency, worker, onSettled) {
+  const results = new Array(items.length);
+  const limit = Math.max(1, Math.min(concurrency || 1, items.length || 1));
+  let next = 0;
+  let done = 0;
+
+  async function run() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+      done++;
+      if (onSettled) onSettled(done, items.length);
+    }
+  }
+
+  await Promise.all(Array.from({ length: limit }, run));
+  return results;
+}
@@ -0,0 +1,159 @@
+// Build refund transactions from the order they reverse
+import { toCents, fromCents, centsToDecimal } from './money.js';
+import { listRefunds, getRefund } from './api.js';
+import { loadArchive } from './archive.js';
+import { mapWithConcurrency } from './pool.js';
+
+const ADDRESS_FIELDS = [
+  'from_country', 'from_zip', 'from_state', 'from_city', 'from_street',
+  'to_country', 'to_zip', 'to_state', 'to_city', 'to_street',
+];
+
+// `--item` spec: "<line item id>" for the whole line or "<id>:<quantity>" for part of it
+export function parseRefundItem(spec) {
+  const match = spec.match(/^([^:]+?)(?::(\d+))?$/);
+  if (!match || match[2] === '0') {
+    throw new Error(`Invalid --item "${spec}": expected <line-item-id> or <line-item-id>:<quantity>`);
+  }
+  return { id: match[1].trim(), quantity: match[2] !== undefined ? parseInt(match[2], 10) : undefined };
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Refunds already recorded against an order. TaxJar lists refunds only as IDs
+ * by date, so rather than fetching every refund since the order, this fetches
+ * the listed ones named after it (the `<order-id>-refund` IDs `--from-order`
+ * assigns) plus any that the local archive (`taxjar sync`) says reference it.
+ */
+export async function fetchOrderRefunds(order, { concurrency = 5, onProgress } = {}) {
+  const orderId = String(order.transaction_id);
+  const base = `${orderId}-refund`;
+  const archived = new Set([...loadArchive('refunds').values()]
+    .filter(refund => String(refund.transaction_reference_id) === orderId)
+    .map(refund => String(refund.transaction_id)));
+
+  const ids = await listRefunds({
+    from_transaction_date: (order.transaction_date || '').slice(0, 10) || undefined,
+    to_transaction_date: today(),
+  });
+  const candidates = ids.map(String).filter(id => id === base || id.startsWith(`${base}-`) || archived.has(id));
+  const refunds = await mapWithConcurrency(candidates, concurrency, id => getRefund(id), onProgress);
+  return refunds.filter(refund => String(refund.transaction_reference_id) === orderId);
+}
+
+// "<order-id>-refund", then "-refund-2", "-refund-3"... once earlier refunds hold those IDs
+function nextRefundId(order, previous) {
+  const taken = new Set(previous.map(refund => String(refund.transaction_id)));
+  const base = `${order.transaction_id}-refund`;
+  let id = base;
+  for (let n = 2; taken.has(id); n++) id = `${base}-${n}`;
+  return id;
+}
+
+// Negated copy of part of an order line; discount and sales tax are prorated by quantity
+function refundLine(line, quantity) {
+  const ordered = line.quantity ?? 1;
+  const share = value => Math.round(toCents(value) * quantity / ordered);
+  const item = {
+    id: String(line.id),
+    quantity,
+    unit_price: -fromCents(toCents(line.unit_price)),
+  };
+  if (line.product_tax_code) item.product_tax_code = line.product_tax_code;
+  if (line.description) item.description = line.description;
+  if (line.discount !== undefined && line.discount !== null) item.discount = -fromCents(share(line.discount));
+  if (line.sales_tax !== undefined && line.sales_tax !== null) item.sales_tax = -fromCents(share(line.sales_tax));
+  return item;
+}
+
+function lineTotalCents(item) {
+  return toCents(item.unit_price) * (item.quantity ?? 1) - toCents(item.discount);
+}
+
+/**
+ * Refund request body pre-filled from an order: its addresses, customer and
+ * exemption, with negated amounts. With no `items` the whole order is
+ * refunded; otherwise only the listed line items (and quantities), with no
+ * shipping unless the caller adds it. `previous` (earlier refunds of the
+ * order) keeps the default transaction ID unique.
+ */
+export function refundFromOrder(order, { items = [], transactionId, transactionDate, previous = [] } = {}) {
+  const params = {
+    transaction_id: transactionId || nextRefundId(order, previous),
+    transaction_reference_id: order.transaction_id,
+    transaction_date: transactionDate || today(),
+  };
+  ADDRESS_FIELDS.forEach(field => {
+    if (order[field]) params[field] = order[field];
+  });
+  ['provider', 'customer_id', 'exemption_type'].forEach(field => {
+    if (order[field]) params[field] = order[field];
+  });
+
+  const orderLines = order.line_items || [];
+
+  if (items.length === 0) {
+    params.amount = -fromCents(toCents(order.amount));
+    params.shipping = -fromCents(toCents(order.shipping));
+    params.sales_tax = -fromCents(toCents(order.sales_tax));
+    if (orderLines.length > 0) params.line_items = orderLines.map(line => refundLine(line, line.quantity ?? 1));
+    return params;
+  }
+
+  const requested = new Map();
+  items.forEach(({ id, quantity }) => {
+    const line = orderLines.find(l => String(l.id) === id);
+    if (!line) {
+      const known = orderLines.map(l => l.id).join(', ') || 'none';
+      throw new Error(`Order ${order.transaction_id} has no line item "${id}" (line items: ${known})`);
+    }
+    const total = (requested.get(id)?.quantity || 0) + (quantity ?? (line.quantity ?? 1));
+    requested.set(id, { line, quantity: total });
+  });
+
+  params.line_items = [...requested.values()].map(({ line, quantity }) => {
+    const ordered = line.quantity ?? 1;
+    if (quantity > ordered) {
+      throw new Error(`Cannot refund ${quantity} of line item "${line.id}": only ${ordered} were ordered`);
+    }
+    return refundLine(line, quantity);
+  });
+  params.amount = fromCents(params.line_items.reduce((sum, item) => sum + lineTotalCents(item), 0));
+  params.shipping = 0;
+  params.sales_tax = fromCents(params.line_items.reduce((sum, item) => sum + toCents(item.sales_tax), 0));
+  return params;
+}
+
+/**
+ * Refuse a refund larger than what is left of the order once `previous`
+ * refunds are taken off: amount, shipping and sales tax (compared by
+ * absolute value) and each line item's quantity.
+ */
+export function checkRefundLimits(params, order, previous = []) {
+  const earlier = previous.filter(refund => String(refund.transaction_id) !== String(params.transaction_id));
+  const left = earlier.length > 0 ? ` left after ${earlier.length} earlier refund(s)` : '';
+  const over = [];
+  ['amount', 'shipping', 'sales_tax'].forEach(field => {
+    const refunded = Math.abs(toCents(params[field]));
+    const remaining = Math.abs(toCents(order[field])) - earlier.reduce((sum, refund) => sum + Math.abs(toCents(refund[field])), 0);
+    if (refunded > remaining) over.push(`${field} ${centsToDecimal(refunded)} exceeds ${centsToDecimal(Math.max(remaining, 0))}${left}`);
+  });
+  (params.line_items || []).forEach(item => {
+    const line = (order.line_items || []).find(l => String(l.id) === String(item.id));
+    if (!line) return;
+    const refundedBefore = earlier
+      .flatMap(refund => refund.line_items || [])
+      .filter(l => String(l.id) === String(item.id))
+      .reduce((sum, l) => sum + (l.quantity ?? 1), 0);
+    const remaining = (line.quantity ?? 1) - refundedBefore;
+    if ((item.quantity ?? 1) > remaining) {
+      over.push(`line item "${item.id}" quantity ${item.quantity ?? 1} exceeds ${Math.max(remaining, 0)}${left}`);
+    }
+  });
+  if (over.length > 0) {
+    throw new Error(`Refund exceeds order ${order.transaction_id}: ${over.join('; ')}`);
+  }
+}
@@ -0,0 +1,131 @@
+import { listOrders, getOrder, listRefunds, getRefund, getRates } from './api.js';
+import { mapWithConcurrency } from './pool.js';
+import { toCents, centsToDecimal } from './money.js';
+
+const FETCHERS = {
+  orders: { list: listOrders, get: getOrder },
+  refunds: { list: listRefunds, get: getRefund },
+};
+
+/**
+ * List transaction IDs in a date window and hydrate each one into its full
+ * record. `type` is "orders" or "refunds".
+ */
+export async function fetchTransactions(type, { fromDate, toDate, concurrency = 5, onProgress } = {}) {
+  const { list, get } = FETCHERS[type];
+  const params = {};
+  if (fromDate) params.from_transaction_date = fromDate;
+  if (toDate) params.to_transaction_date = toDate;
+
+  const ids = await list(params);
+  return mapWithConcurrency(ids, concurrency, id => get(id), onProgress);
+}
+
+function lineTotal(item) {
+  return toCents(item.unit_price) * (item.quantity ?? 1) - toCents(item.discount);
+}
+
+// Amount the recorded sales tax applies to: taxed line items, or the whole amount if tax was charged
+function taxableCents(transaction) {
+  if (transaction.exemption_type && transaction.exemption_type !== 'non_exempt') return 0;
+  const items = transaction.line_items || [];
+  if (items.length > 0) {
+    return items.filter(item => toCents(item.sales_tax) !== 0).reduce((sum, item) => sum + lineTotal(item), 0);
+  }
+  return toCents(transaction.sales_tax) !== 0 ? toCents(transaction.amount) : 0;
+}
+
+export const GROUPINGS = ['state', 'county', 'city'];
+
+// Counties aren't stored on transactions, so look them up from the (cached) rates endpoint by ZIP
+async function countiesByZip(transactions, concurrency) {
+  const zips = [...new Set(transactions.filter(t => t.to_country === 'US' && t.to_zip).map(t => t.to_zip))];
+  const counties = {};
+  await mapWithConcurrency(zips, concurrency, async (zip) => {
+    try {
+      const rate = await getRates(zip, { country: 'US' });
+      counties[zip] = rate.county || '';
+    } catch {
+      counties[zip] = '';
+    }
+  });
+  return counties;
+}
+
+/**
+ * Aggregate orders and refunds by destination. Refunds are subtracted from
+ * the order totals regardless of the sign they were recorded with.
+ */
+export async function aggregatePeriod(orders, refunds, { by = 'state', concurrency = 5 } = {}) {
+  const counties = by === 'county' ? await countiesByZip([...orders, ...refunds], concurrency) : {};
+  const groups = new Map();
+
+  function bucket(transaction) {
+    const key = {
+      country: transaction.to_country || '',
+      state: transaction.to_state || '',
+    };
+    if (by === 'county') key.county = counties[transaction.to_zip] || '';
+    if (by === 'city') key.city = (transaction.to_city || '').toUpperCase();
+
+    const id = Object.values(key).join('|');
+    if (!groups.has(id)) {
+      groups.set(id, { ...key, orders: 0, refunds: 0, gross: 0, refunded: 0, shipping: 0, taxable: 0, tax: 0 });
+    }
+    return groups.get(id);
+  }
+
+  orders.forEach(order => {
+    const group = bucket(order);
+    group.orders++;
+    group.gross += toCents(order.amount);
+    group.shipping += toCents(order.shipping);
+    group.taxable += taxableCents(order);
+    group.tax += toCents(order.sales_tax);
+  });
+
+  refunds.forEach(refund => {
+    const group = bucket(refund);
+    group.refunds++;
+    group.refunded += Math.abs(toCents(refund.amount));
+    group.shipping -= Math.abs(toCents(refund.shipping));
+    group.taxable -= Math.abs(taxableCents(refund));
+    group.tax -= Math.abs(toCents(refund.sales_tax));
+  });
+
+  return [...groups.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([, group]) => formatRow(group));
+}
+
+function formatRow(group) {
+  const row = { country: group.country, state: group.state };
+  if (group.county !== undefined) row.county = group.county;
+  if (group.city !== undefined) row.city = group.city;
+  return {
+    ...row,
+    orders: group.orders,
+    refunds: group.refunds,
+    gross_sales: centsToDecimal(group.gross),
+    refunded: centsToDecimal(group.refunded),
+    net_sales: centsToDecimal(group.gross - group.refunded),
+    shipping: centsToDecimal(group.shipping),
+    taxable_amount: centsToDecimal(group.taxable),
+    sales_tax: centsToDecimal(group.tax),
+  };
+}
+
+// Sum of every aggregated row, for the report footer
+export function periodTotals(rows) {
+  const sum = key => centsToDecimal(rows.reduce((total, row) => total + toCents(row[key]), 0));
+  return {
+    orders: rows.reduce((total, row) => total + row.orders, 0),
+    refunds: rows.reduce((total, row) => total + row.refunds, 0),
+    gross_sales: sum('gross_sales'),
+    refunded: sum('refunded'),
+    net_sales: sum('net_sales'),
+    shipping: sum('shipping'),
+    taxable_amount: sum('taxable_amount'),
+    sales_tax: sum('sales_tax'),
+  };
+}
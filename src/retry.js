@@ -0,0 +1,81 @@
+// Retry and client-side rate limiting for the shared axios client
+
+export const DEFAULT_RETRY_POLICY = {
+  maxRetries: 3,
+  baseDelay: 500,
+  maxDelay: 30000,
+  // POST endpoints that only compute a result and never record anything
+  safePosts: ['/taxes', '/addresses/validate'],
+};
+
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'delete'];
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+const RETRYABLE_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'EPIPE', 'ENOTFOUND'];
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function isRetryableRequest(config, policy) {
+  const method = (config.method || 'get').toLowerCase();
+  if (IDEMPOTENT_METHODS.includes(method)) return true;
+  return method === 'post' && policy.safePosts.includes(config.url);
+}
+
+export function shouldRetry(error, policy) {
+  const config = error.config;
+  if (!config || (config.retryCount || 0) >= policy.maxRetries) return false;
+
+  if (error.response) {
+    return RETRYABLE_STATUSES.includes(error.response.status) && isRetryableRequest(config, policy);
+  }
+
+  return RETRYABLE_CODES.includes(error.code) && isRetryableRequest(config, policy);
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+export function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Exponential backoff with full jitter; Retry-After wins when the server sends one
+export function retryDelay(attempt, policy, retryAfter) {
+  const fromHeader = parseRetryAfter(retryAfter);
+  if (fromHeader !== null) return Math.min(fromHeader, policy.maxDelay);
+  const ceiling = Math.min(policy.maxDelay, policy.baseDelay * 2 ** attempt);
+  return Math.round(Math.random() * ceiling);
+}
+
+export function attachRetry(client, policy) {
+  client.interceptors.response.use(undefined, async (error) => {
+    if (!shouldRetry(error, policy)) throw error;
+
+    const config = error.config;
+    const attempt = config.retryCount || 0;
+    config.retryCount = attempt + 1;
+    await sleep(retryDelay(attempt, policy, error.response?.headers?.['retry-after']));
+    return client.request(config);
+  });
+  return client;
+}
+
+// Space requests at least 1000 / requestsPerSecond ms apart
+export function attachRateLimit(client, requestsPerSecond) {
+  if (!requestsPerSecond || requestsPerSecond <= 0) return client;
+
+  const interval = 1000 / requestsPerSecond;
+  let nextSlot = 0;
+
+  client.interceptors.request.use(async (config) => {
+    const now = Date.now();
+    const wait = Math.max(0, nextSlot - now);
+    nextSlot = Math.max(now, nextSlot) + interval;
+    if (wait > 0) await sleep(wait);
+    return config;
+  });
+  return client;
+}
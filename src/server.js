@@ -0,0 +1,322 @@
+// Local REST service for tax quotes (`taxjar serve`): storefronts and internal
+// tools call it with their own client token instead of holding the TaxJar key.
+import http from 'http';
+import { createHash, randomUUID } from 'crypto';
+import { calculateTax, getRates, validateAddress } from './api.js';
+import { applyOrigin, nexusAddresses } from './origins.js';
+import { listOrigins } from './config.js';
+import { EXEMPTION_TYPES } from './transactions.js';
+import { errorToJson, errorType } from './errors.js';
+import { parseMoney } from './money.js';
+import { checkAddresses, checkCountry, checkState, checkZip } from './validate.js';
+
+const MAX_BODY_BYTES = 1024 * 1024;
+const MAX_LINE_ITEMS = 500;
+const CACHE_MAX_ENTRIES = 1000;
+
+const ADDRESS_FIELDS = ['country', 'zip', 'state', 'city', 'street'];
+const QUOTE_FIELDS = [
+  ...ADDRESS_FIELDS.map(field => `from_${field}`),
+  ...ADDRESS_FIELDS.map(field => `to_${field}`),
+  'amount', 'shipping', 'line_items', 'customer_id', 'exemption_type', 'from', 'nexus',
+];
+const LINE_ITEM_FIELDS = ['id', 'quantity', 'unit_price', 'discount', 'product_tax_code', 'description'];
+
+// HTTP status for a TaxJar failure: the caller's fault (422, 404, 429) or ours (502)
+const UPSTREAM_STATUS = {
+  validation: 422,
+  not_found: 404,
+  rate_limited: 429,
+  auth: 502,
+  server: 502,
+  network: 502,
+  config: 500,
+  error: 500,
+};
+
+class HttpError extends Error {
+  constructor(status, message, fields) {
+    super(message);
+    this.status = status;
+    this.fields = fields;
+  }
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function checkMoney(value, field, problems) {
+  if (value === undefined) return;
+  try {
+    if (typeof value !== 'number') throw new Error(`${field} must be a number`);
+    parseMoney(value, { name: field, sign: 'non-negative' });
+  } catch {
+    problems.push({ field, message: `${field} must be a non-negative number with at most two decimal places` });
+  }
+}
+
+// Country, state and ZIP codes of one side of the quote, when they are strings
+function checkAddress(body, side, problems) {
+  const field = part => `${side}_${part}`;
+  const text = part => (typeof body[field(part)] === 'string' && body[field(part)] !== '' ? body[field(part)] : undefined);
+  let country;
+  try {
+    if (text('country')) country = checkCountry(text('country'), field('country'));
+    if (text('state')) checkState(text('state'), country, field('state'));
+  } catch (error) {
+    problems.push({ field: field(country ? 'state' : 'country'), message: error.message });
+  }
+  try {
+    if (text('zip')) checkZip(text('zip'), country, field('zip'));
+  } catch (error) {
+    problems.push({ field: field('zip'), message: error.message });
+  }
+}
+
+// Country, state and ZIP of a `/rates/:zip` lookup; normalizes params in place and returns the ZIP
+function checkRateLocation(zip, params) {
+  let field = 'country';
+  try {
+    params.country = checkCountry(params.country || 'US', field);
+    field = 'state';
+    if (params.state) params.state = checkState(params.state, params.country, field);
+    field = 'zip';
+    return checkZip(zip, params.country, field);
+  } catch (error) {
+    throw new HttpError(400, error.message, [{ field, message: error.message }]);
+  }
+}
+
+/**
+ * Check a quote request and turn it into `calculateTax` params. `from` names
+ * a saved origin (the default origin applies when no origin is given) and
+ * `nexus` lists saved origins to send as nexus addresses.
+ */
+export function validateQuote(body) {
+  if (!isObject(body)) throw new HttpError(400, 'Request body must be a JSON object');
+
+  const problems = [];
+  Object.keys(body).filter(key => !QUOTE_FIELDS.includes(key)).forEach(field => {
+    problems.push({ field, message: `${field} is not a quote field` });
+  });
+  ADDRESS_FIELDS.forEach(part => {
+    ['from', 'to'].forEach(side => {
+      const field = `${side}_${part}`;
+      if (body[field] !== undefined && typeof body[field] !== 'string') problems.push({ field, message: `${field} must be a string` });
+    });
+  });
+  checkAddress(body, 'from', problems);
+  checkAddress(body, 'to', problems);
+  if (!body.to_country) problems.push({ field: 'to_country', message: 'to_country is required' });
+  if (String(body.to_country).toUpperCase() === 'US') {
+    ['to_zip', 'to_state'].forEach(field => {
+      if (!body[field]) problems.push({ field, message: `${field} is required for US destinations` });
+    });
+  }
+  checkMoney(body.amount, 'amount', problems);
+  checkMoney(body.shipping, 'shipping', problems);
+  if (body.exemption_type !== undefined && !EXEMPTION_TYPES.includes(body.exemption_type)) {
+    problems.push({ field: 'exemption_type', message: `exemption_type must be one of: ${EXEMPTION_TYPES.join(', ')}` });
+  }
+  const origins = listOrigins().map(origin => origin.name);
+  if (body.from !== undefined && !origins.includes(body.from)) {
+    problems.push({ field: 'from', message: `from: no saved origin named "${body.from}"` });
+  }
+  if (body.nexus !== undefined && (!Array.isArray(body.nexus) || body.nexus.some(name => typeof name !== 'string'))) {
+    problems.push({ field: 'nexus', message: 'nexus must be an array of saved origin names' });
+  } else if (body.nexus) {
+    body.nexus.filter(name => name !== 'all' && !origins.includes(name)).forEach(name => {
+      problems.push({ field: 'nexus', message: `nexus: no saved origin named "${name}"` });
+    });
+  }
+
+  if (body.line_items !== undefined) {
+    if (!Array.isArray(body.line_items) || body.line_items.length > MAX_LINE_ITEMS) {
+      problems.push({ field: 'line_items', message: `line_items must be an array of at most ${MAX_LINE_ITEMS} items` });
+    } else {
+      body.line_items.forEach((item, index) => {
+        const prefix = `line_items.${index}`;
+        if (!isObject(item)) {
+          problems.push({ field: prefix, message: `${prefix} must be an object` });
+          return;
+        }
+        Object.keys(item).filter(key => !LINE_ITEM_FIELDS.includes(key)).forEach(key => {
+          problems.push({ field: `${prefix}.${key}`, message: `${prefix}.${key} is not a line item field` });
+        });
+        if (item.quantity !== undefined && (!Number.isInteger(item.quantity) || item.quantity < 1)) {
+          problems.push({ field: `${prefix}.quantity`, message: `${prefix}.quantity must be a positive integer` });
+        }
+        checkMoney(item.unit_price, `${prefix}.unit_price`, problems);
+        checkMoney(item.discount, `${prefix}.discount`, problems);
+      });
+    }
+  }
+  if (body.amount === undefined && !body.line_items?.length) {
+    problems.push({ field: 'amount', message: 'amount is required when there are no line_items' });
+  }
+
+  if (problems.length > 0) {
+    throw new HttpError(400, problems.map(problem => problem.message).join('; '), problems);
+  }
+
+  const { from, nexus = [], ...params } = body;
+  params.shipping = params.shipping ?? 0;
+  applyOrigin(params, from);
+  checkAddresses(params);
+  if (nexus.length > 0) params.nexus_addresses = nexusAddresses(nexus);
+  if (!params.from_country || !params.from_zip || !params.from_state) {
+    throw new HttpError(400, 'from_country, from_zip and from_state are required (or `from` with a saved origin, or a default origin)', [
+      { field: 'from', message: 'origin address is missing' },
+    ]);
+  }
+  return params;
+}
+
+// Identical carts hash the same regardless of key order
+function canonical(value) {
+  if (Array.isArray(value)) return value.map(canonical);
+  if (isObject(value)) return Object.fromEntries(Object.keys(value).sort().map(key => [key, canonical(value[key])]));
+  return value;
+}
+
+function createQuoteCache(ttl) {
+  const entries = new Map();
+  const stats = { entries: 0, hits: 0, misses: 0 };
+
+  return {
+    stats: () => ({ ...stats, entries: entries.size }),
+    async get(params, compute) {
+      if (ttl <= 0) return { value: await compute(), hit: false };
+      const key = createHash('sha256').update(JSON.stringify(canonical(params))).digest('hex');
+      const entry = entries.get(key);
+      if (entry && entry.expiresAt > Date.now()) {
+        stats.hits++;
+        return { value: entry.value, hit: true };
+      }
+      stats.misses++;
+      const value = await compute();
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttl });
+      // Maps iterate in insertion order, so the first key is the oldest
+      if (entries.size > CACHE_MAX_ENTRIES) entries.delete(entries.keys().next().value);
+      return { value, hit: false };
+    },
+  };
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        reject(new HttpError(413, `Request body exceeds ${MAX_BODY_BYTES} bytes`));
+        req.destroy();
+      }
+    });
+    req.on('end', () => {
+      if (!body) return resolve({});
+      try {
+        resolve(JSON.parse(body));
+      } catch {
+        reject(new HttpError(400, 'Request body is not valid JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+const HTTP_ERROR_TYPES = { 400: 'validation', 401: 'auth', 404: 'not_found' };
+
+// Same shape as the CLI's JSON errors, minus the exit code
+function errorBody(error) {
+  if (error instanceof HttpError) {
+    return { type: HTTP_ERROR_TYPES[error.status] || 'error', message: error.message, ...(error.fields ? { fields: error.fields } : {}) };
+  }
+  const { exit_code: _exitCode, ...json } = errorToJson(error);
+  return json;
+}
+
+/**
+ * Create the quote service. `authenticate(token)` returns the client name
+ * for a bearer token, or null to reject it. Quotes for identical carts are
+ * reused for `cacheTtl` ms; rate lookups use the CLI's on-disk cache.
+ */
+export function createQuoteServer({ authenticate, cacheTtl = 5 * 60 * 1000, cors, onRequest } = {}) {
+  const cache = createQuoteCache(cacheTtl);
+  const startedAt = Date.now();
+
+  async function route(req, url, res) {
+    const path = url.pathname.replace(/\/+$/, '') || '/';
+    let match;
+
+    if (path === '/health') {
+      if (req.method !== 'GET') throw new HttpError(405, 'Use GET');
+      return { status: 'ok', uptime_seconds: Math.round((Date.now() - startedAt) / 1000), quote_cache: cache.stats() };
+    }
+    if (path === '/quote') {
+      if (req.method !== 'POST') throw new HttpError(405, 'Use POST');
+      const params = validateQuote(await readJson(req));
+      const { value, hit } = await cache.get(params, () => calculateTax(params));
+      res.setHeader('X-Cache', hit ? 'HIT' : 'MISS');
+      return { quote: value };
+    }
+    if ((match = path.match(/^\/rates\/([^/]+)$/))) {
+      if (req.method !== 'GET') throw new HttpError(405, 'Use GET');
+      const params = Object.fromEntries(['country', 'state', 'city', 'street']
+        .filter(key => url.searchParams.get(key))
+        .map(key => [key, url.searchParams.get(key)]));
+      const zip = checkRateLocation(decodeURIComponent(match[1]), params);
+      return { rate: await getRates(zip, params) };
+    }
+    if (path === '/validate/address') {
+      if (req.method !== 'POST') throw new HttpError(405, 'Use POST');
+      const body = await readJson(req);
+      if (!isObject(body) || !body.country) throw new HttpError(400, 'country is required', [{ field: 'country', message: 'country is required' }]);
+      return { addresses: await validateAddress(body) };
+    }
+    throw new HttpError(404, `No route for ${req.method} ${url.pathname}`);
+  }
+
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const start = Date.now();
+    let status = 200;
+    let body;
+    let client = null;
+    res.setHeader('X-Request-Id', randomUUID());
+    if (cors) {
+      res.setHeader('Access-Control-Allow-Origin', cors);
+      res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+      res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    }
+
+    try {
+      if (req.method === 'OPTIONS' && cors) {
+        status = 204;
+      } else {
+        if (url.pathname !== '/health') {
+          const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+          client = authenticate ? authenticate(token) : 'anonymous';
+          if (!client) throw new HttpError(401, 'Missing or unknown client token');
+        }
+        body = await route(req, url, res);
+      }
+    } catch (error) {
+      const type = error instanceof HttpError ? null : errorType(error);
+      status = error instanceof HttpError ? error.status : UPSTREAM_STATUS[type];
+      if (error.retryAfter) res.setHeader('Retry-After', String(Math.ceil(error.retryAfter / 1000)));
+      body = { error: errorBody(error) };
+    }
+
+    res.statusCode = status;
+    if (body !== undefined) {
+      res.setHeader('Content-Type', 'application/json; charset=utf-8');
+      res.end(JSON.stringify(body));
+    } else {
+      res.end();
+    }
+    if (onRequest) onRequest({ method: req.method, path: url.pathname, status, client, duration: Date.now() - start, cache: res.getHeader('X-Cache') });
+  });
+}
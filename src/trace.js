@@ -0,0 +1,116 @@
+// Request tracing for the global --verbose and --trace-file flags: a log of
+// each request on stderr and a HAR file to attach to support tickets. The
+// client masks the API token before anything reaches these hooks.
+import { writeFileSync } from 'fs';
+import chalk from 'chalk';
+
+function indent(text) {
+  return text.split('\n').map(line => `    ${line}`).join('\n');
+}
+
+function formatBody(body) {
+  if (body === null || body === undefined || body === '') return null;
+  if (typeof body === 'string') {
+    try {
+      return JSON.stringify(JSON.parse(body), null, 2);
+    } catch {
+      return body;
+    }
+  }
+  return JSON.stringify(body, null, 2);
+}
+
+function logHeaders(headers) {
+  Object.entries(headers).forEach(([name, value]) => {
+    console.error(chalk.dim(`    ${name}: ${value}`));
+  });
+}
+
+function logRequest(request) {
+  console.error(chalk.cyan(`→ ${request.method} ${request.url}`) + (request.dryRun ? chalk.yellow(' (dry run, not sent)') : ''));
+  logHeaders(request.headers);
+  const body = formatBody(request.body);
+  if (body) console.error(chalk.dim(indent(body)));
+}
+
+function logResponse({ response, error, duration }) {
+  if (!response) {
+    console.error(chalk.red(`← ${error.code || 'no response'}: ${error.message}`) + chalk.dim(` (${duration} ms)`));
+    return;
+  }
+  const color = response.status >= 400 ? chalk.red : chalk.green;
+  console.error(color(`← ${response.status} ${response.statusText || ''}`.trimEnd()) + chalk.dim(` (${duration} ms)`));
+  const body = formatBody(response.body);
+  if (body) console.error(chalk.dim(indent(body)));
+}
+
+function harHeaders(headers = {}) {
+  return Object.entries(headers).map(([name, value]) => ({ name, value: String(value) }));
+}
+
+function harEntry({ request, response, error, duration }) {
+  const url = new URL(request.url);
+  const requestText = formatBody(request.body);
+  const responseText = formatBody(response?.body);
+  const entry = {
+    startedDateTime: request.startedAt,
+    time: duration,
+    request: {
+      method: request.method,
+      url: request.url,
+      httpVersion: 'HTTP/1.1',
+      cookies: [],
+      headers: harHeaders(request.headers),
+      queryString: [...url.searchParams].map(([name, value]) => ({ name, value })),
+      headersSize: -1,
+      bodySize: requestText ? Buffer.byteLength(requestText) : 0,
+      ...(requestText ? { postData: { mimeType: 'application/json', text: requestText } } : {}),
+    },
+    response: {
+      status: response?.status ?? 0,
+      statusText: response?.statusText ?? '',
+      httpVersion: 'HTTP/1.1',
+      cookies: [],
+      headers: harHeaders(response?.headers),
+      content: {
+        size: responseText ? Buffer.byteLength(responseText) : 0,
+        mimeType: 'application/json',
+        ...(responseText ? { text: responseText } : {}),
+      },
+      redirectURL: '',
+      headersSize: -1,
+      bodySize: -1,
+    },
+    cache: {},
+    timings: { send: 0, wait: duration, receive: 0 },
+  };
+  // Custom HAR fields start with an underscore
+  if (error) entry._error = error;
+  return entry;
+}
+
+/**
+ * Build `onRequest`/`onResponse` client hooks. With `verbose`, each request
+ * and response is logged to stderr; with `traceFile`, every exchange is
+ * written to that path as a HAR 1.2 log when the process exits.
+ */
+export function createTracer({ verbose = false, traceFile, version = '1.0.0' } = {}) {
+  const entries = [];
+
+  if (traceFile) {
+    process.on('exit', () => {
+      const har = { log: { version: '1.2', creator: { name: 'taxjar-cli', version }, entries } };
+      writeFileSync(traceFile, JSON.stringify(har, null, 2) + '\n');
+    });
+  }
+
+  return {
+    onRequest: (request) => {
+      if (verbose) logRequest(request);
+    },
+    onResponse: (exchange) => {
+      if (verbose) logResponse(exchange);
+      if (traceFile) entries.push(harEntry(exchange));
+    },
+  };
+}
@@ -0,0 +1,173 @@
+import { readFileSync } from 'fs';
+import { collect, buildLineItems, normalizeLineItems } from './items.js';
+import { applyOrigin } from './origins.js';
+import { parseMoney, toCents, fromCents } from './money.js';
+import { checkDate, checkAddresses } from './validate.js';
+
+export const ORDER_REQUIRED_FIELDS = ['transaction_id', 'transaction_date', 'to_country', 'to_zip', 'to_state', 'amount', 'shipping', 'sales_tax'];
+export const REFUND_REQUIRED_FIELDS = ['transaction_id', 'transaction_date', 'transaction_reference_id', 'to_country', 'to_zip', 'to_state', 'amount', 'shipping', 'sales_tax'];
+
+export const EXEMPTION_TYPES = ['wholesale', 'government', 'marketplace', 'other', 'non_exempt'];
+
+// Orders record positive amounts; refunds record them as negative values
+const AMOUNT_SIGNS = { order: 'non-negative', refund: 'non-positive' };
+
+// Flag ↔ API field mapping shared by `orders create/update` and `refunds create`
+const TRANSACTION_FIELDS = [
+  { flag: '--transaction-date <date>', option: 'transactionDate', field: 'transaction_date', description: 'Transaction date (YYYY-MM-DD)' },
+  { flag: '--provider <provider>', option: 'provider', field: 'provider', description: 'Source of the transaction (e.g. api, amazon, ebay)' },
+  { flag: '--from-country <code>', option: 'fromCountry', field: 'from_country', description: 'Origin country code' },
+  { flag: '--from-zip <zip>', option: 'fromZip', field: 'from_zip', description: 'Origin postal code' },
+  { flag: '--from-state <state>', option: 'fromState', field: 'from_state', description: 'Origin state code' },
+  { flag: '--from-city <city>', option: 'fromCity', field: 'from_city', description: 'Origin city' },
+  { flag: '--from-street <street>', option: 'fromStreet', field: 'from_street', description: 'Origin street address' },
+  { flag: '--to-country <code>', option: 'toCountry', field: 'to_country', description: 'Destination country code' },
+  { flag: '--to-zip <zip>', option: 'toZip', field: 'to_zip', description: 'Destination postal code' },
+  { flag: '--to-state <state>', option: 'toState', field: 'to_state', description: 'Destination state code' },
+  { flag: '--to-city <city>', option: 'toCity', field: 'to_city', description: 'Destination city' },
+  { flag: '--to-street <street>', option: 'toStreet', field: 'to_street', description: 'Destination street address' },
+  { flag: '--amount <amount>', option: 'amount', field: 'amount', description: 'Total amount, excluding shipping and sales tax', numeric: true },
+  { flag: '--shipping <amount>', option: 'shipping', field: 'shipping', description: 'Shipping amount', numeric: true },
+  { flag: '--sales-tax <tax>', option: 'salesTax', field: 'sales_tax', description: 'Sales tax collected', numeric: true },
+  { flag: '--customer-id <id>', option: 'customerId', field: 'customer_id', description: 'TaxJar customer ID for exempt customers' },
+  { flag: '--exemption-type <type>', option: 'exemptionType', field: 'exemption_type', description: `Exemption type (${EXEMPTION_TYPES.join(', ')})` },
+];
+
+const FLAG_NAMES = Object.fromEntries(TRANSACTION_FIELDS.map(f => [f.field, f.flag.split(' ')[0]]));
+
+/**
+ * Attach the shared transaction flags to a command. `descriptions` overrides
+ * the help text per API field (refunds describe amounts as negative values).
+ */
+export function addTransactionOptions(command, descriptions = {}) {
+  TRANSACTION_FIELDS.forEach(({ flag, field, description }) => {
+    command.option(flag, descriptions[field] || description);
+  });
+  return command
+    .option('--from <origin>', 'Saved origin address for the --from-* fields (see `taxjar config origin`)')
+    .option('--line-item <spec>', 'Line item as key=value pairs, e.g. "id=1,quantity=1,unit_price=19.99,sales_tax=1.77,product_tax_code=20010" (repeatable)', collect, [])
+    .option('--items-file <file>', 'Read line items from a JSON or CSV file')
+    .option('--body-file <file>', 'Read the request body from a JSON file; flags override its fields');
+}
+
+/**
+ * Build a transaction request body: fields from `--body-file` first, then any
+ * flags given on the command line. Line items from flags replace the file's;
+ * `--from` fills whichever origin fields are still unset. `kind` ("order" or
+ * "refund") decides the sign amounts must have.
+ */
+export function buildTransactionParams(options, kind = 'order') {
+  const params = {};
+
+  if (options.bodyFile) {
+    const body = JSON.parse(readFileSync(options.bodyFile, 'utf8'));
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      throw new Error(`${options.bodyFile} must contain a JSON object`);
+    }
+    Object.assign(params, body);
+  }
+
+  TRANSACTION_FIELDS.forEach(({ option, field, numeric }) => {
+    if (options[option] === undefined) return;
+    if (numeric) {
+      params[field] = parseMoney(options[option], { name: FLAG_NAMES[field], sign: AMOUNT_SIGNS[kind] });
+    } else {
+      params[field] = options[option];
+    }
+  });
+
+  const lineItems = buildLineItems(options);
+  if (lineItems.length > 0) params.line_items = lineItems;
+  if (options.from) applyOrigin(params, options.from);
+
+  return checkTransaction(params, kind);
+}
+
+/**
+ * Build a transaction request body from an import row (CSV columns or JSON
+ * keys named after API fields). A `line_items` CSV cell holds a JSON array.
+ */
+export function rowToTransactionParams(row, kind = 'order') {
+  const params = {};
+
+  ['transaction_id', 'transaction_reference_id', ...TRANSACTION_FIELDS.map(f => f.field)].forEach(field => {
+    const value = row[field];
+    if (value === undefined || value === null || value === '') return;
+    const numeric = TRANSACTION_FIELDS.find(f => f.field === field)?.numeric;
+    params[field] = numeric ? value : String(value).trim();
+  });
+
+  if (row.line_items !== undefined && row.line_items !== '') {
+    const items = typeof row.line_items === 'string' ? JSON.parse(row.line_items) : row.line_items;
+    if (!Array.isArray(items)) throw new Error('line_items must be a JSON array');
+    params.line_items = normalizeLineItems(items, 'line_items');
+  }
+
+  return checkTransaction(params, kind);
+}
+
+// Amounts, date, addresses and exemption type, checked before anything is sent
+function checkTransaction(params, kind) {
+  TRANSACTION_FIELDS.filter(f => f.numeric && params[f.field] !== undefined).forEach(({ field }) => {
+    params[field] = parseMoney(params[field], { name: field, sign: AMOUNT_SIGNS[kind] });
+  });
+  if (params.transaction_date) params.transaction_date = checkDate(params.transaction_date, 'transaction_date', { datetime: true });
+  checkAddresses(params);
+  if (params.exemption_type && !EXEMPTION_TYPES.includes(params.exemption_type)) {
+    throw new Error(`Invalid exemption type "${params.exemption_type}". Expected one of: ${EXEMPTION_TYPES.join(', ')}`);
+  }
+  return params;
+}
+
+/**
+ * Order request body for a tax calculation: the addresses, customer and line
+ * items it was calculated for, with the calculated tax as the sales tax
+ * (split per line item when TaxJar returned a breakdown). `request` is the
+ * `calculateTax` params, `tax` the result. The copied fields are the shared
+ * transaction fields, so anything `orders create` accepts carries over.
+ */
+export function quoteToOrderParams(request, tax, { transactionId, transactionDate } = {}) {
+  if (tax.estimate) throw new Error('Cannot record an offline estimate as an order; calculate with TaxJar first.');
+  const params = {};
+  TRANSACTION_FIELDS.filter(f => !f.numeric && request[f.field] !== undefined).forEach(({ field }) => {
+    params[field] = request[field];
+  });
+  if (transactionId) params.transaction_id = transactionId;
+  params.transaction_date = transactionDate || request.transaction_date || new Date().toISOString().slice(0, 10);
+  params.amount = fromCents(toCents(tax.order_total_amount) - toCents(tax.shipping));
+  params.shipping = tax.shipping ?? request.shipping ?? 0;
+  params.sales_tax = tax.amount_to_collect;
+
+  const taxed = new Map((tax.breakdown?.line_items || []).map(line => [String(line.id), line.tax_collectable]));
+  if (request.line_items?.length > 0) {
+    params.line_items = request.line_items.map(item => {
+      const line = { ...item };
+      if (taxed.has(String(item.id))) line.sales_tax = taxed.get(String(item.id));
+      return line;
+    });
+  }
+  return params;
+}
+
+// Read `tax calculate --json` output saved to a file; it carries the request it was calculated for
+export function loadQuote(file) {
+  const quote = JSON.parse(readFileSync(file, 'utf8'));
+  if (!quote || typeof quote !== 'object' || !quote.request || quote.amount_to_collect === undefined) {
+    throw new Error(`${file} is not saved \`taxjar tax calculate --json\` output (it needs "amount_to_collect" and "request")`);
+  }
+  const { request, ...tax } = quote;
+  return { request, tax };
+}
+
+export function missingFields(params, fields) {
+  return fields.filter(field => params[field] === undefined || params[field] === '');
+}
+
+// Throw if any of the given API fields are missing after flags and body file are merged
+export function requireFields(params, fields) {
+  const missing = missingFields(params, fields);
+  if (missing.length > 0) {
+    const names = missing.map(field => FLAG_NAMES[field] || `--${field.replace(/_/g, '-')}`);
+    throw new Error(`Missing required field(s): ${names.join(', ')}`);
+  }
+}
@@ -0,0 +1,101 @@
+// Pre-flight checks for dates and addresses, so a typo fails locally with a
+// usage error instead of as a 400 from TaxJar (or a silently wrong record).
+import { InvalidArgumentError } from 'commander';
+import { parseMoney } from './money.js';
+
+// ISO 3166-1 alpha-2
+const COUNTRY_CODES = new Set(`
+  AD AE AF AG AI AL AM AO AQ AR AS AT AU AW AX AZ BA BB BD BE BF BG BH BI BJ BL BM BN BO BQ BR BS
+  BT BV BW BY BZ CA CC CD CF CG CH CI CK CL CM CN CO CR CU CV CW CX CY CZ DE DJ DK DM DO DZ EC EE
+  EG EH ER ES ET FI FJ FK FM FO FR GA GB GD GE GF GG GH GI GL GM GN GP GQ GR GS GT GU GW GY HK HM
+  HN HR HT HU ID IE IL IM IN IO IQ IR IS IT JE JM JO JP KE KG KH KI KM KN KP KR KW KY KZ LA LB LC
+  LI LK LR LS LT LU LV LY MA MC MD ME MF MG MH MK ML MM MN MO MP MQ MR MS MT MU MV MW MX MY MZ NA
+  NC NE NF NG NI NL NO NP NR NU NZ OM PA PE PF PG PH PK PL PM PN PR PS PT PW PY QA RE RO RS RU RW
+  SA SB SC SD SE SG SH SI SJ SK SL SM SN SO SR SS ST SV SX SY SZ TC TD TF TG TH TJ TK TL TM TN TO
+  TR TT TV TW TZ UA UG UM US UY UZ VA VC VE VG VI VN VU WF WS YE YT ZA ZM ZW
+`.trim().split(/\s+/));
+
+// States, DC, territories and the military "states" (AA, AE, AP)
+const US_STATES = new Set(`
+  AL AK AZ AR CA CO CT DE DC FL GA HI ID IL IN IA KS KY LA ME MD MA MI MN MS MO MT NE NV NH NJ NM
+  NY NC ND OH OK OR PA RI SC SD TN TX UT VT VA WA WV WI WY AS GU MP PR VI AA AE AP
+`.trim().split(/\s+/));
+
+const ZIP_PATTERNS = {
+  US: { pattern: /^\d{5}(-\d{4})?$/, example: '94111 or 94111-1234' },
+  CA: { pattern: /^[A-Za-z]\d[A-Za-z] ?\d[A-Za-z]\d$/, example: 'V6B 1A1' },
+};
+
+/**
+ * Check a YYYY-MM-DD date that exists on the calendar. With `datetime`, a
+ * full ISO 8601 timestamp is accepted too (transaction dates may carry one).
+ */
+export function checkDate(value, name = 'date', { datetime = false } = {}) {
+  const text = String(value ?? '').trim();
+  const match = text.match(/^(\d{4})-(\d{2})-(\d{2})(T.+)?$/);
+  if (match && (!match[4] || datetime)) {
+    const [, year, month, day] = match.map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    const real = date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+    if (real && (!match[4] || !Number.isNaN(Date.parse(text)))) return text;
+  }
+  throw new Error(`Invalid ${name} "${value}": expected a date such as 2024-01-31`);
+}
+
+export function checkCountry(value, name = 'country') {
+  const code = String(value).trim().toUpperCase();
+  if (!COUNTRY_CODES.has(code)) throw new Error(`Invalid ${name} "${value}": expected a two-letter ISO country code such as US`);
+  return code;
+}
+
+export function checkState(value, country, name = 'state') {
+  const code = String(value).trim().toUpperCase();
+  if (country === 'US' && !US_STATES.has(code)) throw new Error(`Invalid ${name} "${value}": expected a US state code such as CA`);
+  return code;
+}
+
+// Postal code formats are checked for the US and Canada; other countries pass through
+export function checkZip(value, country, name = 'zip') {
+  const zip = String(value).trim();
+  const format = ZIP_PATTERNS[country];
+  if (format && !format.pattern.test(zip)) throw new Error(`Invalid ${name} "${value}" for ${country}: expected e.g. ${format.example}`);
+  return zip;
+}
+
+/**
+ * Check and normalize the from_* and to_* country, state and zip fields that
+ * are present, in place. Country and state codes are upper-cased.
+ */
+export function checkAddresses(params) {
+  ['from', 'to'].forEach(side => {
+    const country = params[`${side}_country`];
+    if (country !== undefined && country !== '') params[`${side}_country`] = checkCountry(country, `${side}_country`);
+    const code = params[`${side}_country`];
+    if (params[`${side}_state`]) params[`${side}_state`] = checkState(params[`${side}_state`], code, `${side}_state`);
+    if (params[`${side}_zip`]) params[`${side}_zip`] = checkZip(params[`${side}_zip`], code, `${side}_zip`);
+  });
+  return params;
+}
+
+// Commander option parser for YYYY-MM-DD flags
+export function dateOption(flag) {
+  return (value) => {
+    try {
+      return checkDate(value, flag);
+    } catch (error) {
+      // Commander already names the flag and value
+      throw new InvalidArgumentError(error.message.replace(/^Invalid [^:]+: /, ''));
+    }
+  };
+}
+
+// Commander option parser for money flags; `sign` as for `parseMoney`
+export function moneyOption(flag, sign) {
+  return (value) => {
+    try {
+      return parseMoney(value, { name: flag, sign });
+    } catch (error) {
+      throw new InvalidArgumentError(error.message.replace(/^Invalid [^:]+: /, ''));
+    }
+  };
+}
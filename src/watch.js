@@ -0,0 +1,143 @@
+// Rate change monitoring: `taxjar rates watch` stores timestamped snapshots of
+// the rates for a list of locations, and `taxjar rates diff` compares two.
+import { join, extname, basename } from 'path';
+import { mkdirSync, readFileSync, writeFileSync, readdirSync, existsSync } from 'fs';
+import { getConfigDir, getActiveProfileName, getBaseUrl, getDataDirName } from './config.js';
+import { getRates } from './api.js';
+import { readRecords } from './batch.js';
+import { mapWithConcurrency } from './pool.js';
+import { checkCountry, checkZip } from './validate.js';
+
+export const RATE_FIELDS = ['state_rate', 'county_rate', 'city_rate', 'combined_district_rate', 'combined_rate', 'freight_taxable'];
+
+const LOCATION_FIELDS = ['zip', 'country', 'state', 'city', 'street'];
+
+// One directory per profile and API, so sandbox or mock rates are never diffed against production
+export function getRateSnapshotDir() {
+  return join(getConfigDir(), 'snapshots', `rates-${getDataDirName()}`);
+}
+
+// "US 10001", plus city and street when the location narrows the ZIP down
+function locationKey(location) {
+  return [location.country, location.zip, location.state, location.city, location.street].filter(Boolean).join(' ');
+}
+
+/**
+ * Read the locations to watch: a CSV or JSON-lines file with a `zip` column
+ * (and optional country, state, city, street), or plain text with one ZIP
+ * per line and `#` comments. Country defaults to US; duplicates are dropped.
+ */
+export function readLocations(file) {
+  const rows = ['.csv', '.jsonl', '.ndjson'].includes(extname(file).toLowerCase())
+    ? readRecords(file)
+    : readFileSync(file, 'utf8').split(/\r?\n/).map(line => line.replace(/#.*/, '').trim()).filter(Boolean).map(zip => ({ zip }));
+
+  const locations = new Map();
+  rows.forEach((row, i) => {
+    if (!row.zip) throw new Error(`${file} (location ${i + 1}): missing zip`);
+    const location = {};
+    LOCATION_FIELDS.forEach(field => {
+      if (row[field] !== undefined && row[field] !== '') location[field] = String(row[field]).trim();
+    });
+    try {
+      location.country = checkCountry(location.country || 'US');
+      location.zip = checkZip(location.zip, location.country);
+    } catch (error) {
+      throw new Error(`${file} (location ${i + 1}): ${error.message}`);
+    }
+    if (location.state) location.state = location.state.toUpperCase();
+    locations.set(locationKey(location), location);
+  });
+  return [...locations.values()];
+}
+
+/**
+ * Fetch the rates for every location and save them as a new snapshot.
+ * Locations that fail are recorded with their error rather than aborting
+ * the run; `rates diff` skips them.
+ */
+export async function takeRateSnapshot(locations, { concurrency = 5, onProgress } = {}) {
+  const entries = await mapWithConcurrency(locations, concurrency, async ({ zip, ...params }) => {
+    const entry = { location: locationKey({ zip, ...params }), zip, ...params };
+    try {
+      entry.rate = await getRates(zip, params);
+    } catch (error) {
+      entry.error = error.message;
+    }
+    return entry;
+  }, onProgress);
+
+  const takenAt = new Date().toISOString();
+  const snapshot = { taken_at: takenAt, profile: getActiveProfileName(), base_url: getBaseUrl(), locations: entries };
+  const dir = getRateSnapshotDir();
+  // Colons aren't allowed in Windows file names. Milliseconds keep runs in the
+  // same second apart, and `wx` refuses to overwrite a snapshot regardless.
+  const path = join(dir, `${takenAt.replace(/:/g, '-')}.json`);
+  mkdirSync(dir, { recursive: true });
+  writeFileSync(path, JSON.stringify(snapshot, null, 2) + '\n', { flag: 'wx' });
+  return { path, snapshot };
+}
+
+// Saved snapshots for the active profile, oldest first
+export function listRateSnapshots() {
+  const dir = getRateSnapshotDir();
+  if (!existsSync(dir)) return [];
+  return readdirSync(dir)
+    .filter(name => name.endsWith('.json'))
+    .sort()
+    .map(name => ({ id: basename(name, '.json'), path: join(dir, name) }));
+}
+
+// A snapshot by file path or by ID (as listed by `rates diff --list`)
+export function loadRateSnapshot(ref) {
+  let path = ref;
+  if (!existsSync(path)) {
+    const match = listRateSnapshots().find(snapshot => snapshot.id === basename(ref, '.json'));
+    if (!match) throw new Error(`No rates snapshot "${ref}". List them with \`taxjar rates diff --list\`.`);
+    path = match.path;
+  }
+  const snapshot = JSON.parse(readFileSync(path, 'utf8'));
+  if (!Array.isArray(snapshot.locations)) throw new Error(`${path} is not a \`taxjar rates watch\` snapshot`);
+  return snapshot;
+}
+
+function sameValue(field, before, after) {
+  if (field === 'freight_taxable') return Boolean(before) === Boolean(after);
+  return Number(before ?? 0) === Number(after ?? 0);
+}
+
+/**
+ * Compare two snapshots location by location. `changes` lists every rate
+ * field (or freight_taxable flag) that differs; locations only in one
+ * snapshot are `added` or `removed`, and ones that failed in either are
+ * listed under `skipped`. Snapshots taken against different APIs are refused.
+ */
+export function diffRateSnapshots(before, after) {
+  if (before.base_url && after.base_url && before.base_url !== after.base_url) {
+    throw new Error(`Can't compare snapshots from different APIs (${before.base_url} and ${after.base_url})`);
+  }
+  const previous = new Map(before.locations.map(entry => [entry.location, entry]));
+  const current = new Map(after.locations.map(entry => [entry.location, entry]));
+  const diff = { from: before.taken_at, to: after.taken_at, changes: [], added: [], removed: [], skipped: [] };
+
+  current.forEach((entry, location) => {
+    const old = previous.get(location);
+    if (!old) {
+      diff.added.push(location);
+      return;
+    }
+    if (old.error || entry.error) {
+      diff.skipped.push(location);
+      return;
+    }
+    RATE_FIELDS.forEach(field => {
+      if (!sameValue(field, old.rate[field], entry.rate[field])) {
+        diff.changes.push({ location, field, before: old.rate[field] ?? null, after: entry.rate[field] ?? null });
+      }
+    });
+  });
+  previous.forEach((entry, location) => {
+    if (!current.has(location)) diff.removed.push(location);
+  });
+  return diff;
+}